@@ -0,0 +1,31 @@
+// Every permission an admin can hold
+const PERMISSIONS = {
+  TEAMS_READ: 'teams:read',
+  TEAMS_APPROVE: 'teams:approve',
+  PAYMENTS_VERIFY: 'payments:verify',
+  PROBLEM_STATEMENTS_MANAGE: 'problem-statements:manage',
+  JUDGING_MANAGE: 'judging:manage',
+  SETTINGS_MANAGE: 'settings:manage',
+  USERS_MANAGE: 'users:manage',
+  EXPORTS_READ: 'exports:read',
+  AUDIT_READ: 'audit:read',
+  ADMINS_MANAGE: 'admins:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Permissions granted to each admin role
+const ROLE_PERMISSIONS = {
+  'super-admin': ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS.filter((permission) => permission !== PERMISSIONS.ADMINS_MANAGE),
+  reviewer: [PERMISSIONS.TEAMS_READ, PERMISSIONS.PAYMENTS_VERIFY]
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES
+};
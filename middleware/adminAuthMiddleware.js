@@ -0,0 +1,31 @@
+const Admin = require('../models/Admin');
+const { verifyAccessToken } = require('../utils/sessions');
+
+// Admin authentication middleware
+const adminAuthMiddleware = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    
+    if (!token) {
+      return res.status(401).json({ message: 'No token, authorization denied' });
+    }
+
+    const { account, sessionId } = await verifyAccessToken(
+      token,
+      'Admin',
+      (adminId) => Admin.findOne({ _id: adminId, isActive: true }).select('-password')
+    );
+
+    req.admin = account;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired' });
+    }
+    console.error('Admin auth middleware error:', error);
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+module.exports = adminAuthMiddleware;
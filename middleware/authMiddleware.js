@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/sessions');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -9,16 +9,19 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
+    const { account, sessionId } = await verifyAccessToken(
+      token,
+      'User',
+      (userId) => User.findById(userId).select('-password')
+    );
 
-    req.user = user;
+    req.user = account;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired' });
+    }
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid' });
   }
@@ -0,0 +1,50 @@
+// Default error codes by HTTP status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'SERVER_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * Code for an HTTP status
+ * @param {number} status - HTTP status
+ * @returns {string}
+ */
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'SERVER_ERROR' : 'BAD_REQUEST');
+
+/**
+ * Give every JSON error response the same envelope:
+ * { message, code, errors?: [{ field, message, code }] }.
+ * Routes may set their own code; otherwise one is derived from the status,
+ * and plain string errors are turned into field-less error objects.
+ */
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      const envelope = { ...body, code: body.code || codeForStatus(res.statusCode) };
+      if (Array.isArray(body.errors)) {
+        envelope.errors = body.errors.map((error) => (typeof error === 'string'
+          ? { field: null, message: error, code: envelope.code }
+          : error));
+      }
+      return json(envelope);
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+errorEnvelope.codeForStatus = codeForStatus;
+
+module.exports = errorEnvelope;
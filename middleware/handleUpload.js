@@ -0,0 +1,38 @@
+const multer = require('multer');
+
+// Client-facing messages for multer limit errors
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: 'File is too large',
+  LIMIT_FILE_COUNT: 'Too many files',
+  LIMIT_FIELD_COUNT: 'Too many fields',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field',
+  LIMIT_PART_COUNT: 'Too many parts',
+  LIMIT_FIELD_KEY: 'Field name is too long',
+  LIMIT_FIELD_VALUE: 'Field value is too long'
+};
+
+/**
+ * Run a multer middleware and answer its errors with 4xx responses
+ * instead of letting them reach the global 500 handler
+ * @param {Function} uploadMiddleware - e.g. upload.single('file')
+ * @returns {Function} - Express middleware
+ */
+const handleUpload = (uploadMiddleware) => (req, res, next) => {
+  uploadMiddleware(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({
+        message: MULTER_MESSAGES[error.code] || error.message,
+        code: error.code,
+        field: error.field
+      });
+    }
+
+    // HttpErrors raised by fileFilter, otherwise a malformed multipart body
+    res.status(error.status || 400).json({ message: error.message });
+  });
+};
+
+module.exports = handleUpload;
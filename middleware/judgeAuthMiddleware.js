@@ -0,0 +1,30 @@
+const Judge = require('../models/Judge');
+const { verifyAccessToken } = require('../utils/sessions');
+
+const judgeAuthMiddleware = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    
+    if (!token) {
+      return res.status(401).json({ message: 'No token, authorization denied' });
+    }
+
+    const { account, sessionId } = await verifyAccessToken(
+      token,
+      'Judge',
+      (judgeId) => Judge.findOne({ _id: judgeId, isActive: true }).select('-password')
+    );
+
+    req.judge = account;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired' });
+    }
+    console.error('Judge auth middleware error:', error);
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+module.exports = judgeAuthMiddleware;
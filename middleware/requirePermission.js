@@ -0,0 +1,23 @@
+/**
+ * Require the authenticated admin to hold every listed permission
+ * (use after adminAuthMiddleware)
+ * @param {...string} permissions - Permissions from config/permissions.js
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.admin) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  const missing = permissions.filter((permission) => !req.admin.hasPermission(permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'You do not have permission to perform this action',
+      missingPermissions: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = requirePermission;
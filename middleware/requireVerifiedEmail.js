@@ -0,0 +1,22 @@
+const Settings = require('../models/Settings');
+
+// Blocks unverified users when email verification is required (use after authMiddleware)
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return next();
+    }
+
+    const settings = await Settings.getSettings();
+    if (settings.requireEmailVerification) {
+      return res.status(403).json({ message: 'Please verify your email address before continuing' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Require verified email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,18 @@
+const HttpError = require('../utils/httpError');
+const { findEvent } = require('../utils/events');
+
+// Sets req.event from the ?event= query (ID or slug), defaulting to the current event
+const resolveEvent = async (req, res, next) => {
+  try {
+    req.event = await findEvent(req.query.event);
+    next();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Resolve event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = resolveEvent;
@@ -0,0 +1,29 @@
+const { validate } = require('../utils/validation');
+
+const SOURCES = ['params', 'query', 'body'];
+
+/**
+ * Validate request params, query and body against declarative schemas.
+ * Sanitized values (trimmed, coerced) replace the raw ones; fields outside the schema are kept.
+ * Responds 400 { message, code: 'VALIDATION_ERROR', errors: [{ field, message, code }] } on failure.
+ * @param {Object} schemas - { params, query, body }, each { field: rule } (see utils/validation.js)
+ * @returns {Function} - Express middleware
+ */
+const validateRequest = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  SOURCES.forEach((source) => {
+    if (!schemas[source]) return;
+    const result = validate(schemas[source], req[source]);
+    errors.push(...result.errors);
+    req[source] = Object.assign(req[source] || {}, result.values);
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation error', code: 'VALIDATION_ERROR', errors });
+  }
+
+  next();
+};
+
+module.exports = validateRequest;
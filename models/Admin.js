@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLE_PERMISSIONS, ADMIN_ROLES } = require('../config/permissions');
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -16,11 +17,24 @@ const adminSchema = new mongoose.Schema({
   role: {
     type: String,
     default: 'admin',
-    enum: ['admin', 'super-admin']
+    enum: ADMIN_ROLES
+  },
+  isActive: {
+    type: Boolean, // Disabled admins can't log in or use existing tokens
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
   },
   lastLogin: {
     type: Date,
     default: null
+  },
+  tokenVersion: {
+    type: Number, // Incremented to invalidate all issued access tokens
+    default: 0
   }
 }, {
   timestamps: true
@@ -44,4 +58,13 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Permissions granted by the admin's role
+adminSchema.methods.getPermissions = function() {
+  return ROLE_PERMISSIONS[this.role] || [];
+};
+
+adminSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
 module.exports = mongoose.model('Admin', adminSchema);
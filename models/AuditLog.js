@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Record of a state-changing action by an admin, judge, user or the system
+const auditLogSchema = new mongoose.Schema({
+  actorType: {
+    type: String,
+    enum: ['Admin', 'User', 'Judge', 'System'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  actorName: {
+    type: String, // Username / email at the time of the action
+    default: null
+  },
+  action: {
+    type: String, // e.g. team.payment-status.update
+    required: true
+  },
+  targetType: {
+    type: String, // Model name of the affected document
+    default: null
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorType: 1, actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequence (e.g. team registration numbers), incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String // Sequence name
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Increment a sequence and return its new value. Deleted records never give their number back.
+ * @param {string} name - Sequence name
+ * @param {Object} options - { session, seed } where seed() returns the starting value for a new sequence
+ *   (used to continue numbering from records created before the counter existed)
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(name, { session = null, seed = null } = {}) {
+  // Seeding happens outside the caller's transaction; creating the counter is idempotent
+  if (seed && !(await this.exists({ _id: name }))) {
+    const start = await seed();
+    try {
+      await this.updateOne({ _id: name }, { $setOnInsert: { seq: start } }, { upsert: true });
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
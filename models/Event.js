@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+
+const TEAM_SIZES = ['Solo', 'Duo', 'Team'];
+
+const ELIGIBILITY_RULE_TYPES = ['min-count', 'max-count', 'same-value', 'allowed-values'];
+const ELIGIBILITY_FIELDS = ['university', 'course', 'year', 'gender'];
+const COUNTED_RULE_TYPES = ['min-count', 'max-count'];
+
+// Team composition rule checked against the profiles of the leader and members
+const eligibilityRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ELIGIBILITY_RULE_TYPES,
+    required: true
+  },
+  field: {
+    type: String, // User profile field the rule looks at
+    enum: ELIGIBILITY_FIELDS,
+    required: true
+  },
+  values: {
+    type: [{ type: String, trim: true }], // Matching values (case-insensitive), unused by same-value
+    validate: {
+      validator: function(values) {
+        return this.type === 'same-value' || values.length > 0;
+      },
+      message: 'At least one value is required for this rule type'
+    }
+  },
+  count: {
+    type: Number, // Number of matching members for min-count and max-count
+    min: 0,
+    default: null,
+    required: function() {
+      return COUNTED_RULE_TYPES.includes(this.type);
+    }
+  },
+  message: {
+    type: String, // Shown to participants instead of the generated description
+    trim: true
+  }
+});
+
+// One hackathon edition with its own teams, problem statements and configuration
+const eventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String, // URL-friendly identifier, accepted wherever an event ID is
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean, // The current event participants register for (only one at a time)
+    default: false
+  },
+  teamNumberPrefix: {
+    type: String, // Prefix of team registration numbers, e.g. HB25 -> HB250001
+    default: 'TEAM',
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9-]{1,12}$/
+  },
+  teamSizes: {
+    type: [{ type: String, enum: TEAM_SIZES }], // Team sizes teams may register with
+    default: () => [...TEAM_SIZES]
+  },
+  registrationOpensAt: {
+    type: Date, // Account signup and team registration window
+    default: null
+  },
+  registrationClosesAt: {
+    type: Date,
+    default: null
+  },
+  maxTeams: {
+    type: Number, // Teams holding a slot (null means unlimited)
+    min: 1,
+    default: null
+  },
+  maxParticipants: {
+    type: Number, // Leaders and members of teams holding a slot (null means unlimited)
+    min: 1,
+    default: null
+  },
+  maxParticipantsPerUniversity: {
+    type: Number, // Participants from one university (null means unlimited)
+    min: 1,
+    default: null
+  },
+  waitlistEnabled: {
+    type: Boolean, // Waitlist teams once a cap is reached instead of refusing them
+    default: true
+  },
+  eligibilityRules: {
+    type: [eligibilityRuleSchema], // Checked on registration and on every membership change
+    default: []
+  },
+  registrationLockAt: {
+    type: Date, // After this date team changes are frozen or need admin approval
+    default: null
+  },
+  lockedTeamChangePolicy: {
+    type: String,
+    enum: ['freeze', 'approval'],
+    default: 'freeze'
+  },
+  autoApproveOnPaymentVerified: {
+    type: Boolean, // Approve pending teams as soon as their payment is verified
+    default: false
+  },
+  leaderboardPublished: {
+    type: Boolean, // Public leaderboard is hidden until an admin publishes it
+    default: false
+  },
+  submissionOpensAt: {
+    type: Date,
+    default: null
+  },
+  submissionClosesAt: {
+    type: Date,
+    default: null
+  },
+  submissionGraceMinutes: {
+    type: Number, // Submissions after the deadline but within grace are flagged late
+    default: 0,
+    min: 0
+  },
+  registrationFee: {
+    type: Number, // Gateway fee per team in the smallest currency unit (0 disables online payment)
+    default: 0,
+    min: 0
+  },
+  registrationFeeByTeamSize: {
+    // Optional overrides of registrationFee per teamSize
+    Solo: { type: Number, default: null, min: 0 },
+    Duo: { type: Number, default: null, min: 0 },
+    Team: { type: Number, default: null, min: 0 }
+  },
+  maxPaymentProofUploads: {
+    type: Number, // Payment screenshots a team may upload in total (0 = unlimited)
+    default: 3,
+    min: 0
+  },
+  paymentCurrency: {
+    type: String,
+    default: 'INR',
+    uppercase: true
+  }
+}, {
+  timestamps: true
+});
+
+eventSchema.index({ isActive: 1, startsAt: -1 });
+
+// Whether team registration changes are currently locked
+eventSchema.methods.isRegistrationLocked = function(now = new Date()) {
+  return Boolean(this.registrationLockAt && now >= this.registrationLockAt);
+};
+
+// Team registration window state: always-open, not-open, open or closed
+eventSchema.methods.getRegistrationWindowState = function(now = new Date()) {
+  if (!this.registrationOpensAt && !this.registrationClosesAt) return 'always-open';
+  if (this.registrationOpensAt && now < this.registrationOpensAt) return 'not-open';
+  if (this.registrationClosesAt && now > this.registrationClosesAt) return 'closed';
+  return 'open';
+};
+
+// Whether any registration cap is configured
+eventSchema.methods.hasCapacityLimits = function() {
+  return Boolean(this.maxTeams || this.maxParticipants || this.maxParticipantsPerUniversity);
+};
+
+// Project submission window state: not-configured, not-open, open, grace or closed
+eventSchema.methods.getSubmissionWindowState = function(now = new Date()) {
+  if (!this.submissionOpensAt || !this.submissionClosesAt) return 'not-configured';
+  if (now < this.submissionOpensAt) return 'not-open';
+  if (now <= this.submissionClosesAt) return 'open';
+
+  const graceEndsAt = new Date(this.submissionClosesAt.getTime() + this.submissionGraceMinutes * 60 * 1000);
+  return now <= graceEndsAt ? 'grace' : 'closed';
+};
+
+// Registration fee for a team size in the smallest currency unit
+eventSchema.methods.getRegistrationFee = function(teamSize) {
+  const overrides = this.registrationFeeByTeamSize || {};
+  const override = overrides[teamSize];
+  return override !== null && override !== undefined ? override : this.registrationFee;
+};
+
+// Whether teams of this size may register for the event
+eventSchema.methods.allowsTeamSize = function(teamSize) {
+  return this.teamSizes.includes(teamSize);
+};
+
+eventSchema.statics.TEAM_SIZES = TEAM_SIZES;
+eventSchema.statics.ELIGIBILITY_RULE_TYPES = ELIGIBILITY_RULE_TYPES;
+eventSchema.statics.ELIGIBILITY_FIELDS = ELIGIBILITY_FIELDS;
+
+module.exports = mongoose.model('Event', eventSchema);
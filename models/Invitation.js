@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  // 'invite' is sent by the leader, 'request' is sent by a user via invite code
+  type: {
+    type: String,
+    enum: ['invite', 'request'],
+    default: 'invite'
+  },
+  // The user joining the team (invitee or requester)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ team: 1, status: 1 });
+invitationSchema.index({ user: 1, status: 1 });
+
+// Mark pending invitations past their expiry date as expired
+invitationSchema.statics.expireStale = function(filter = {}) {
+  return this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+};
+
+// Default expiry date for a new invitation
+invitationSchema.statics.defaultExpiry = function() {
+  const days = parseInt(process.env.INVITE_EXPIRY_DAYS, 10) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
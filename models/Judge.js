@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const judgeSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId, // Only teams of this event are judged
+    ref: 'Event',
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 6
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  university: {
+    type: String, // Used to exclude teams with a conflict of interest
+    trim: true
+  },
+  tracks: [{
+    type: String, // Judge every team whose problem statement is in these tracks
+    trim: true
+  }],
+  assignedTeams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date,
+    default: null
+  },
+  tokenVersion: {
+    type: Number, // Incremented to invalidate all issued access tokens
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+judgeSchema.index({ event: 1 });
+
+// Hash password before saving
+judgeSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare password method
+judgeSchema.methods.comparePassword = async function(candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+module.exports = mongoose.model('Judge', judgeSchema);
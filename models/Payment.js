@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_STATUSES = ['created', 'paid', 'failed', 'partially-refunded', 'refunded'];
+
+// Registration fee payment made through a payment gateway (amounts in the smallest currency unit)
+const paymentSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  provider: {
+    type: String, // e.g. mock, razorpay
+    required: true
+  },
+  orderId: {
+    type: String, // Order id issued by the provider
+    required: true,
+    unique: true
+  },
+  transactionId: {
+    type: String, // Provider payment id, set once the payment is captured
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'created'
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: [{
+    refundId: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    reason: String,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ team: 1, createdAt: -1 });
+paymentSchema.index({ event: 1, createdAt: -1 });
+paymentSchema.index({ transactionId: 1 });
+
+// Amount that can still be refunded
+paymentSchema.methods.getRefundableAmount = function() {
+  return this.status === 'paid' || this.status === 'partially-refunded'
+    ? this.amount - this.amountRefunded
+    : 0;
+};
+
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const problemStatementSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  track: {
+    type: String, // Track / category used to group statements
+    trim: true,
+    default: 'General'
+  },
+  sponsor: {
+    type: String,
+    trim: true
+  },
+  maxTeams: {
+    type: Number, // null means unlimited
+    min: 1,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Titles are unique within an event
+problemStatementSchema.index({ event: 1, title: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProblemStatement', problemStatementSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const criterionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  weight: {
+    type: Number, // Relative weight, normalised against the sum of all weights
+    required: true,
+    min: 0
+  },
+  maxScore: {
+    type: Number,
+    default: 10,
+    min: 1
+  }
+});
+
+const rubricSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  track: {
+    type: String, // null applies to every track without its own rubric
+    trim: true,
+    default: null
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: (criteria) => criteria.length > 0 && criteria.some((c) => c.weight > 0),
+      message: 'A rubric needs at least one criterion with a positive weight'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+rubricSchema.index({ event: 1, track: 1, isActive: 1 });
+
+module.exports = mongoose.model('Rubric', rubricSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const scoreSchema = new mongoose.Schema({
+  judge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Judge',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric',
+    required: true
+  },
+  track: {
+    type: String, // Track of the team's problem statement when scored
+    default: null
+  },
+  criteria: [{
+    criterion: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    comment: {
+      type: String,
+      trim: true
+    }
+  }],
+  comments: {
+    type: String,
+    trim: true
+  },
+  total: {
+    type: Number, // Weighted score out of 100
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One score sheet per judge per team
+scoreSchema.index({ judge: 1, team: 1 }, { unique: true });
+
+module.exports = mongoose.model('Score', scoreSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Refresh token session for a user, admin or judge
+const sessionSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ['User', 'Admin', 'Judge'],
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'accountType',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String, // Hash of the current refresh token, replaced on every rotation
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: String,
+  ip: String,
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ accountType: 1, account: 1, revokedAt: 1 });
+// Expired sessions are cleaned up automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Platform-wide settings managed by admins (single document); per-hackathon settings live on Event
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  requireEmailVerification: {
+    type: Boolean, // Block team registration and joining until the email is verified
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Fetch the settings document, creating it with defaults on first use
+settingsSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Settings', settingsSchema);
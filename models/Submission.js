@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Each (re)submission is stored as a new version so history is kept
+const submissionSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  repoUrl: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  demoVideoUrl: {
+    type: String,
+    trim: true
+  },
+  presentation: {
+    url: String, // Storage URL of the uploaded deck
+    cloudinaryId: String,
+    originalName: String
+  },
+  techStack: [{
+    type: String,
+    trim: true
+  }],
+  description: {
+    type: String,
+    trim: true
+  },
+  isLate: {
+    type: Boolean, // Submitted during the grace period
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+submissionSchema.index({ team: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('Submission', submissionSchema);
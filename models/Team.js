@@ -1,12 +1,18 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { isTeamSizeSatisfied } = require("../utils/teamRules");
 
 const teamSchema = new mongoose.Schema(
   {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      default: null,
+    },
     teamName: {
       type: String,
       required: true,
       trim: true,
-      unique: true,
     },
     leader: {
       type: mongoose.Schema.Types.ObjectId,
@@ -20,7 +26,8 @@ const teamSchema = new mongoose.Schema(
       },
     ],
     problemStatement: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProblemStatement",
       required: true,
     },
     teamSize: {
@@ -28,22 +35,80 @@ const teamSchema = new mongoose.Schema(
       enum: ["Solo", "Duo", "Team"],
       required: true,
     },
+    isComplete: {
+      type: Boolean, // Kept in sync with members/teamSize on save
+      default: false,
+    },
+    inviteCode: {
+      type: String, // Shareable code other users can use to request to join
+      unique: true,
+      sparse: true,
+    },
     status: {
       type: String,
       enum: ["pending", "approved", "rejected"],
       default: "pending",
     },
+    statusReason: {
+      type: String, // Reason given with the latest status change (shown to the team)
+      default: null,
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: ["pending", "approved", "rejected"],
+          required: true,
+        },
+        reason: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+          default: null, // null when changed automatically
+        },
+        automatic: {
+          type: Boolean,
+          default: false,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     registrationNumber: {
       type: String,
       required: true,
       unique: true,
     },
+    // Listed in teammate discovery so users without a team can request to join
+    lookingForMembers: {
+      type: Boolean,
+      default: false,
+    },
+    wantedSkills: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: [],
+    },
+    // Registered after the event's capacity was reached; promoted in waitlistedAt order
+    waitlisted: {
+      type: Boolean,
+      default: false,
+    },
+    waitlistedAt: {
+      type: Date,
+      default: null,
+    },
+    promotedFromWaitlistAt: {
+      type: Date,
+      default: null,
+    },
     paymentScreenshot: {
-      type: String, // Cloudinary URL to the uploaded payment screenshot
+      type: String, // Storage URL of the latest payment screenshot
       default: null,
     },
     paymentScreenshotCloudinaryId: {
-      type: String, // Cloudinary public ID for easy deletion
+      type: String, // Storage public ID for easy deletion (name kept for existing data)
       default: null,
     },
     paymentStatus: {
@@ -51,10 +116,124 @@ const teamSchema = new mongoose.Schema(
       enum: ["pending", "verified", "rejected"],
       default: "pending",
     },
+    paymentDuplicateScore: {
+      type: Number, // Highest similarity of any proof to another team's proof (null if none)
+      default: null,
+    },
+    paymentStatusReason: {
+      type: String, // Reason given with the latest payment decision (shown to the team)
+      default: null,
+    },
+    paymentProofs: [
+      {
+        // Every uploaded payment proof, kept as evidence (latest last)
+        url: {
+          type: String, // null for private proofs
+          default: null,
+        },
+        publicId: {
+          type: String,
+          default: null,
+        },
+        fileType: {
+          type: String, // image (compressed screenshot) or pdf (receipt)
+          enum: ["image", "pdf"],
+          default: "image",
+        },
+        access: {
+          type: String, // private proofs are only readable through signed URLs
+          enum: ["public", "private"],
+          default: "public",
+        },
+        hash: {
+          type: String, // Perceptual difference hash used to spot reused screenshots
+          default: null,
+        },
+        duplicates: [
+          {
+            // Other teams' proofs that look the same (similarity 1 = identical)
+            team: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Team",
+            },
+            proof: mongoose.Schema.Types.ObjectId,
+            similarity: Number,
+          },
+        ],
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        decision: {
+          type: String,
+          enum: ["pending", "verified", "rejected", "superseded"],
+          default: "pending",
+        },
+        reason: String,
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+          default: null,
+        },
+        reviewedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
+    toJSON: {
+      // Payment proofs contain banking details: never expose their storage URLs,
+      // they are served through signed URLs from the payment proof endpoints
+      transform(doc, ret) {
+        if ("paymentScreenshot" in ret) {
+          ret.hasPaymentScreenshot = Boolean(
+            ret.paymentScreenshotCloudinaryId || ret.paymentScreenshot
+          );
+        }
+        delete ret.paymentScreenshot;
+        delete ret.paymentScreenshotCloudinaryId;
+        if (Array.isArray(ret.paymentProofs)) {
+          ret.paymentProofs = ret.paymentProofs.map(
+            ({ url, publicId, ...proof }) => proof
+          );
+        }
+        return ret;
+      },
+    },
   }
 );
 
+// Team names are unique within an event
+teamSchema.index({ event: 1, teamName: 1 }, { unique: true });
+teamSchema.index({ event: 1, waitlisted: 1, waitlistedAt: 1 });
+teamSchema.index({ event: 1, lookingForMembers: 1 });
+teamSchema.index({ createdAt: -1 });
+teamSchema.index({ status: 1, paymentStatus: 1 });
+teamSchema.index({ leader: 1 });
+teamSchema.index({ members: 1 });
+teamSchema.index({ "paymentProofs.hash": 1 });
+teamSchema.index({ paymentDuplicateScore: -1 });
+
+// Generate a new invite code
+teamSchema.statics.generateInviteCode = function () {
+  return crypto.randomBytes(4).toString("hex").toUpperCase();
+};
+
+// Keep invite code and completion flag up to date
+teamSchema.pre("save", function (next) {
+  if (!this.inviteCode) {
+    this.inviteCode = this.constructor.generateInviteCode();
+  }
+  this.isComplete = isTeamSizeSatisfied(this.teamSize, this.members.length);
+  next();
+});
+
 module.exports = mongoose.model("Team", teamSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Team change submitted after the registration lock, awaiting admin review
+const teamChangeRequestSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'leave', 'transfer-leadership', 'remove-member', 'disband'],
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+teamChangeRequestSchema.index({ team: 1, status: 1 });
+
+module.exports = mongoose.model('TeamChangeRequest', teamChangeRequestSchema);
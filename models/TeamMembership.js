@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One row per user in a team; the unique index guarantees a user is never in two teams of an event
+const teamMembershipSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['leader', 'member'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+teamMembershipSchema.index({ event: 1, user: 1 }, { unique: true });
+teamMembershipSchema.index({ team: 1 });
+
+module.exports = mongoose.model('TeamMembership', teamMembershipSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Opt-in "looking for team" profile of a user for one event, used by teammate discovery
+const teammateProfileSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lookingForTeam: {
+    type: Boolean, // Listed and suggested to others only while true (and not in a team)
+    default: true
+  },
+  skills: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: []
+  },
+  interests: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: []
+  },
+  preferredProblemStatements: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProblemStatement'
+  }],
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+teammateProfileSchema.index({ event: 1, user: 1 }, { unique: true });
+teammateProfileSchema.index({ event: 1, lookingForTeam: 1, updatedAt: -1 });
+teammateProfileSchema.index({ event: 1, skills: 1 });
+
+module.exports = mongoose.model('TeammateProfile', teammateProfileSchema);
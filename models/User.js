@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const GENDERS = ['female', 'male', 'non-binary', 'prefer-not-to-say'];
 
 const userSchema = new mongoose.Schema({
   registrationNumber: {
@@ -39,6 +43,31 @@ const userSchema = new mongoose.Schema({
   year: {
     type: String,
     trim: true
+  },
+  gender: {
+    type: String, // Optional, only used by team eligibility rules
+    enum: GENDERS,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  tokenVersion: {
+    type: Number, // Incremented to invalidate all issued access tokens
+    default: 0
   }
 }, {
   timestamps: true
@@ -62,4 +91,40 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Signed, expiring token for the email verification link (tied to the current email)
+userSchema.methods.createEmailVerificationToken = function() {
+  return jwt.sign(
+    { userId: this._id, email: this.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRY || '24h' }
+  );
+};
+
+// Decode an email verification token, returns null if invalid or expired
+userSchema.statics.decodeEmailVerificationToken = function(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'verify-email' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Hash a password reset token for storage and lookup
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create a single-use password reset token, only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiryMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES, 10) || 60;
+
+  this.passwordResetTokenHash = this.constructor.hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiryMinutes * 60 * 1000);
+  return token;
+};
+
+userSchema.statics.GENDERS = GENDERS;
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,45 +1,78 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const Admin = require('../models/Admin');
 const Team = require('../models/Team');
 const User = require('../models/User');
+const Settings = require('../models/Settings');
+const Event = require('../models/Event');
+const TeamMembership = require('../models/TeamMembership');
+const TeamChangeRequest = require('../models/TeamChangeRequest');
+const ProblemStatement = require('../models/ProblemStatement');
+const Judge = require('../models/Judge');
+const Rubric = require('../models/Rubric');
+const Score = require('../models/Score');
+const Submission = require('../models/Submission');
+const AuditLog = require('../models/AuditLog');
+const Payment = require('../models/Payment');
+const adminAuthMiddleware = require('../middleware/adminAuthMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validateRequest = require('../middleware/validate');
+const resolveEvent = require('../middleware/resolveEvent');
+const { PERMISSIONS, ADMIN_ROLES } = require('../config/permissions');
+const HttpError = require('../utils/httpError');
+const { rules, fromMongooseError } = require('../utils/validation');
+const { applyTeamChange } = require('../utils/teamLifecycle');
+const { countTeamsByProblemStatement, getRemainingSlots } = require('../utils/problemStatements');
+const {
+  TEAM_STATUSES,
+  PAYMENT_STATUSES,
+  changeTeamStatus,
+  changePaymentStatus
+} = require('../utils/teamStatus');
+const { buildLeaderboard } = require('../utils/judging');
+const { findEvent, activateEvent, getEventForTeam } = require('../utils/events');
+const { placeRestoredTeam, promoteWaitlistedTeams } = require('../utils/registrationCapacity');
+const { getTeamEligibility } = require('../utils/eligibility');
+const { toAuditSnapshot, recordAudit, buildAuditFilter } = require('../utils/auditLog');
+const { toCsvRow, setCsvHeaders } = require('../utils/csv');
+const { buildTeamFilter, parseTeamSort, parsePagination } = require('../utils/teamQuery');
+const { FORMATS, streamExport } = require('../utils/exporter');
+const { refundPayment } = require('../utils/payments');
+const { sendPaymentDecisionEmail } = require('../utils/emails');
+const { findPaymentProof, createPaymentProofUrl } = require('../utils/paymentProofs');
+const {
+  createSession,
+  rotateSession,
+  issueAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../utils/sessions');
 
 const router = express.Router();
 
-// Admin authentication middleware
-const adminAuthMiddleware = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token, authorization denied' });
-    }
+// Extra access token claims for admins
+const adminClaims = (admin) => ({ username: admin.username, role: admin.role });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const admin = await Admin.findById(decoded.adminId).select('-password');
-    
-    if (!admin) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
+const reasonRule = { ...rules.text, maxLength: 500 };
 
-    req.admin = admin;
-    next();
-  } catch (error) {
-    console.error('Admin auth middleware error:', error);
-    res.status(401).json({ message: 'Token is not valid' });
-  }
-};
+const teamParamsSchema = { teamId: { ...rules.objectId, required: true } };
 
 // @route   POST /api/admin/login
 // @desc    Admin login
 // @access  Private (only accessible via direct link)
-router.post('/login', async (req, res) => {
+router.post('/login', validateRequest({
+  body: {
+    username: { type: 'string', maxLength: 50, required: true },
+    password: { type: 'string', trim: false, required: true }
+  }
+}), async (req, res) => {
   try {
     const { username, password } = req.body;
 
     // Find admin by username
     const admin = await Admin.findOne({ username });
-    if (!admin) {
+    if (!admin || !admin.isActive) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
@@ -53,22 +86,18 @@ router.post('/login', async (req, res) => {
     admin.lastLogin = new Date();
     await admin.save();
 
-    // Create JWT token
-    const payload = {
-      adminId: admin._id,
-      username: admin.username,
-      role: admin.role
-    };
-
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(admin, 'Admin', req, adminClaims(admin));
 
     res.json({
       message: 'Admin login successful',
       token,
+      refreshToken,
       admin: {
         id: admin._id,
         username: admin.username,
         role: admin.role,
+        permissions: admin.getPermissions(),
         lastLogin: admin.lastLogin
       }
     });
@@ -78,43 +107,249 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// @route   GET /api/admin/teams
-// @desc    Get all teams with payment details
+// @route   POST /api/admin/refresh
+// @desc    Exchange an admin refresh token for a new token pair
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', validateRequest({ body: { refreshToken: { ...rules.token, required: true } } }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateSession(
+      refreshToken,
+      'Admin',
+      (adminId) => Admin.findOne({ _id: adminId, isActive: true }),
+      adminClaims
+    );
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Admin refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/logout
+// @desc    Revoke the current admin session
 // @access  Private (Admin only)
-router.get('/teams', adminAuthMiddleware, async (req, res) => {
+router.post('/logout', adminAuthMiddleware, async (req, res) => {
   try {
-    const teams = await Team.find()
-      .populate('leader', 'name email registrationNumber')
-      .populate('members', 'name email registrationNumber')
-      .sort({ createdAt: -1 });
+    await revokeSession('Admin', req.admin._id, req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ teams });
+// @route   GET /api/admin/sessions
+// @desc    List active sessions of the current admin
+// @access  Private (Admin only)
+router.get('/sessions', adminAuthMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions('Admin', req.admin._id, req.sessionId);
+    res.json({ sessions });
   } catch (error) {
-    console.error('Get teams error:', error);
+    console.error('Get admin sessions error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   PUT /api/admin/teams/:teamId/payment-status
-// @desc    Update team payment status
+// @route   DELETE /api/admin/sessions/:sessionId
+// @desc    Revoke one of the current admin's sessions
 // @access  Private (Admin only)
-router.put('/teams/:teamId/payment-status', adminAuthMiddleware, async (req, res) => {
+router.delete('/sessions/:sessionId', adminAuthMiddleware, validateRequest({
+  params: { sessionId: { ...rules.objectId, required: true } }
+}), async (req, res) => {
   try {
-    const { teamId } = req.params;
-    const { paymentStatus } = req.body;
+    const revoked = await revokeSession('Admin', req.admin._id, req.params.sessionId, 'revoked-by-admin');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'admin.session.revoke',
+      targetType: 'Session',
+      targetId: req.params.sessionId
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke admin session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/revoke-sessions
+// @desc    Sign a participant out of every device
+// @access  Private (Admin: users:manage)
+router.post('/users/:userId/revoke-sessions', adminAuthMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), validateRequest({
+  params: { userId: { ...rules.objectId, required: true } }
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.tokenVersion += 1;
+    await user.save();
+    const revoked = await revokeAllSessions('User', user._id, 'revoked-by-admin');
+
+    await recordAudit(req, {
+      action: 'user.sessions.revoke',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { revoked }
+    });
+
+    res.json({ message: 'User sessions revoked successfully', revoked });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/teams
+// @desc    Get a page of teams of the event (?event=, default current) with payment details and duplicate
+//          payment proof flags (filters: status, paymentStatus, teamSize, problemStatement, university, from, to, search,
+//          duplicates=true, minSimilarity, waitlisted; sort: e.g. -createdAt, -paymentDuplicateScore or
+//          waitlistedAt; page, limit)
+// @access  Private (Admin: teams:read)
+router.get('/teams', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_READ), resolveEvent, async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = await buildTeamFilter(req.query, req.event._id);
+
+    const [teams, total] = await Promise.all([
+      Team.find(filter)
+        .populate('leader', 'name email registrationNumber university')
+        .populate('members', 'name email registrationNumber university')
+        .populate('problemStatement', 'title track')
+        .populate('paymentProofs.duplicates.team', 'teamName registrationNumber paymentStatus')
+        .sort(parseTeamSort(req.query.sort))
+        .skip(skip)
+        .limit(limit),
+      Team.countDocuments(filter)
+    ]);
+
+    res.json({
+      teams,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get teams error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid team filter' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/teams/:teamId/eligibility
+// @desc    Check a team against its event's eligibility rules (status of each rule)
+// @access  Private (Admin: teams:read)
+router.get('/teams/:teamId/eligibility', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_READ), validateRequest({
+  params: teamParamsSchema
+}), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const eligibility = await getTeamEligibility(team, await getEventForTeam(team));
+    res.json({ team: { id: team._id, teamName: team.teamName, registrationNumber: team.registrationNumber }, eligibility });
+  } catch (error) {
+    console.error('Get team eligibility error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/teams/:teamId/payment-proofs/:proofId/url
+// @desc    Get a short-lived signed URL for a team's payment proof ("latest" for the newest),
+//          with a rendered first page (thumbnailUrl) for PDF receipts where the storage supports it
+// @access  Private (Admin: payments:verify)
+router.get('/teams/:teamId/payment-proofs/:proofId/url', adminAuthMiddleware, requirePermission(PERMISSIONS.PAYMENTS_VERIFY), validateRequest({
+  params: teamParamsSchema
+}), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
 
-    if (!['pending', 'verified', 'rejected'].includes(paymentStatus)) {
-      return res.status(400).json({ message: 'Invalid payment status' });
+    const proof = findPaymentProof(team, req.params.proofId);
+    if (!proof) {
+      return res.status(404).json({ message: 'Payment proof not found' });
     }
 
+    res.json(createPaymentProofUrl(proof));
+  } catch (error) {
+    console.error('Get payment proof URL error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid team ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Email the team when an admin verifies or rejects its payment
+const notifyPaymentDecision = async (team) => {
+  if (!['verified', 'rejected'].includes(team.paymentStatus)) return;
+  const users = await User.find({ _id: { $in: [team.leader, ...team.members] } }).select('name email');
+  await sendPaymentDecisionEmail(users, team);
+};
+
+// @route   PUT /api/admin/teams/:teamId/payment-status
+// @desc    Update team payment status (a reason is required for rejection and shown to the team)
+// @access  Private (Admin: payments:verify)
+router.put('/teams/:teamId/payment-status', adminAuthMiddleware, requirePermission(PERMISSIONS.PAYMENTS_VERIFY), validateRequest({
+  params: teamParamsSchema,
+  body: {
+    paymentStatus: { type: 'string', enum: PAYMENT_STATUSES, required: true },
+    reason: reasonRule
+  }
+}), async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { paymentStatus, reason } = req.body;
+
     const team = await Team.findById(teamId);
     if (!team) {
       return res.status(404).json({ message: 'Team not found' });
     }
 
-    team.paymentStatus = paymentStatus;
+    const before = toAuditSnapshot(team);
+    await changePaymentStatus(team, paymentStatus, { reason, reviewedBy: req.admin._id });
     await team.save();
 
+    await recordAudit(req, {
+      action: 'team.payment-status.update',
+      targetType: 'Team',
+      targetId: team._id,
+      before,
+      after: team,
+      metadata: reason ? { reason } : null
+    });
+
+    if (before.paymentStatus !== team.paymentStatus) {
+      await notifyPaymentDecision(team);
+    }
+
     // Populate team data for response
     const updatedTeam = await Team.findById(team._id)
       .populate('leader', 'name email registrationNumber')
@@ -126,24 +361,407 @@ router.put('/teams/:teamId/payment-status', adminAuthMiddleware, async (req, res
     });
   } catch (error) {
     console.error('Update payment status error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   PUT /api/admin/change-password
-// @desc    Change admin password
+// @route   PUT /api/admin/teams/:teamId/status
+// @desc    Approve or reject a team (a reason is required for rejection). A rejected team moved back
+//          to pending or approved is waitlisted when the event is full
+// @access  Private (Admin: teams:approve)
+router.put('/teams/:teamId/status', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_APPROVE), validateRequest({
+  params: teamParamsSchema,
+  body: {
+    status: { type: 'string', enum: TEAM_STATUSES, required: true },
+    reason: reasonRule
+  }
+}), async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { status, reason } = req.body;
+
+    const team = await Team.findById(teamId);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const before = toAuditSnapshot(team);
+    changeTeamStatus(team, status, { reason, changedBy: req.admin._id });
+    await placeRestoredTeam(team, before.status);
+    await team.save();
+
+    await recordAudit(req, {
+      action: 'team.status.update',
+      targetType: 'Team',
+      targetId: team._id,
+      before,
+      after: team
+    });
+
+    // A rejected team gives its slot to the waitlist
+    const promoted = releasesSlot(before, team) ? await promoteWaitlistedTeams(team.event) : [];
+
+    const updatedTeam = await Team.findById(team._id)
+      .populate('leader', 'name email registrationNumber')
+      .populate('members', 'name email registrationNumber')
+      .populate('statusHistory.changedBy', 'username');
+
+    const message = `Team ${status === 'pending' ? 'moved back to pending' : status} successfully`;
+    res.json({
+      message: !before.waitlisted && team.waitlisted
+        ? `${message}. The event is full, so the team has been added to the waitlist`
+        : message,
+      team: updatedTeam,
+      promotedFromWaitlist: promoted.map(toPromotedTeam)
+    });
+  } catch (error) {
+    console.error('Update team status error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Whether a status change released the team's registration slot
+const releasesSlot = (before, team) => before.status !== 'rejected' && team.status === 'rejected' && !team.waitlisted;
+
+const toPromotedTeam = (team) => ({ id: team._id, teamName: team.teamName, registrationNumber: team.registrationNumber });
+
+const MAX_BULK_TEAMS = 500;
+
+// Apply bulk status / payment changes to one team document (not saved); rejected teams moved
+// back need a slot again
+const applyBulkChange = async (team, { status, paymentStatus, reason }, adminId, session = null) => {
+  if (paymentStatus !== undefined) {
+    await changePaymentStatus(team, paymentStatus, { reason, reviewedBy: adminId });
+  }
+  if (status !== undefined) {
+    const previousStatus = team.status;
+    changeTeamStatus(team, status, { reason, changedBy: adminId });
+    await placeRestoredTeam(team, previousStatus, { session });
+  }
+};
+
+// @route   POST /api/admin/teams/bulk
+// @desc    Update paymentStatus and/or status of many teams at once.
+//          Body: { teamIds, paymentStatus?, status?, reason?, atomic? }. With atomic=true
+//          every change is applied in one transaction (all or nothing); otherwise each
+//          team is updated on its own and failures are reported per team.
+// @access  Private (Admin: payments:verify for paymentStatus, teams:approve for status)
+router.post('/teams/bulk', adminAuthMiddleware, validateRequest({
+  body: {
+    teamIds: { type: 'array', required: true, minItems: 1, maxItems: MAX_BULK_TEAMS, items: rules.objectId },
+    paymentStatus: { type: 'string', enum: PAYMENT_STATUSES },
+    status: { type: 'string', enum: TEAM_STATUSES },
+    reason: { ...reasonRule, required: true },
+    atomic: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  try {
+    const { teamIds, paymentStatus, status, reason, atomic } = req.body;
+
+    if (paymentStatus === undefined && status === undefined) {
+      return res.status(400).json({ message: 'Provide a paymentStatus and/or status to apply' });
+    }
+
+    const required = [];
+    if (paymentStatus !== undefined) required.push(PERMISSIONS.PAYMENTS_VERIFY);
+    if (status !== undefined) required.push(PERMISSIONS.TEAMS_APPROVE);
+    const missing = required.filter((permission) => !req.admin.hasPermission(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: 'You do not have permission to perform this action',
+        missingPermissions: missing
+      });
+    }
+
+    const uniqueIds = [...new Set(teamIds.map(String))];
+    const change = { status, paymentStatus, reason };
+    const results = [];
+    const audits = [];
+
+    const updateTeam = async (teamId, session = null) => {
+      if (!mongoose.Types.ObjectId.isValid(teamId)) {
+        throw new HttpError(400, 'Invalid team ID');
+      }
+      const team = await Team.findById(teamId).session(session);
+      if (!team) {
+        throw new HttpError(404, 'Team not found');
+      }
+
+      const before = toAuditSnapshot(team);
+      await applyBulkChange(team, change, req.admin._id, session);
+      await team.save({ session });
+      audits.push({ team, before });
+
+      return {
+        teamId,
+        success: true,
+        registrationNumber: team.registrationNumber,
+        status: team.status,
+        paymentStatus: team.paymentStatus,
+        waitlisted: team.waitlisted
+      };
+    };
+
+    if (atomic) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          results.length = 0;
+          audits.length = 0;
+          for (const teamId of uniqueIds) {
+            try {
+              results.push(await updateTeam(teamId, session));
+            } catch (error) {
+              error.teamId = teamId;
+              throw error;
+            }
+          }
+        });
+      } catch (error) {
+        if (error instanceof HttpError) {
+          return res.status(error.status).json({
+            message: 'Bulk update rolled back, no teams were changed',
+            failed: [{ teamId: error.teamId, success: false, error: error.message }]
+          });
+        }
+        throw error;
+      } finally {
+        await session.endSession();
+      }
+    } else {
+      for (const teamId of uniqueIds) {
+        try {
+          results.push(await updateTeam(teamId));
+        } catch (error) {
+          if (!(error instanceof HttpError)) {
+            console.error(`Bulk update error for team ${teamId}:`, error);
+          }
+          results.push({
+            teamId,
+            success: false,
+            error: error instanceof HttpError ? error.message : 'Server error'
+          });
+        }
+      }
+    }
+
+    for (const { team, before } of audits) {
+      await recordAudit(req, {
+        action: 'team.bulk-update',
+        targetType: 'Team',
+        targetId: team._id,
+        before,
+        after: team,
+        metadata: { reason, teamCount: uniqueIds.length }
+      });
+      if (before.paymentStatus !== team.paymentStatus) {
+        await notifyPaymentDecision(team);
+      }
+    }
+
+    const releasedEvents = new Set(audits
+      .filter(({ team, before }) => releasesSlot(before, team))
+      .map(({ team }) => String(team.event)));
+    const promoted = [];
+    for (const eventId of releasedEvents) {
+      promoted.push(...await promoteWaitlistedTeams(eventId));
+    }
+
+    const failed = results.filter((result) => !result.success);
+
+    res.status(failed.length > 0 && failed.length === results.length ? 400 : 200).json({
+      message: `${results.length - failed.length} of ${uniqueIds.length} teams updated`,
+      updated: results.length - failed.length,
+      failed,
+      results,
+      promotedFromWaitlist: promoted.map(toPromotedTeam)
+    });
+  } catch (error) {
+    console.error('Bulk team update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin fields safe to return
+const toAdminResponse = (admin) => ({
+  id: admin._id,
+  username: admin.username,
+  role: admin.role,
+  permissions: admin.getPermissions(),
+  isActive: admin.isActive,
+  lastLogin: admin.lastLogin,
+  createdAt: admin.createdAt
+});
+
+// Refuse changes that would leave no active super-admin
+const ensureOtherSuperAdmin = async (admin) => {
+  if (admin.role !== 'super-admin') return;
+  const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'super-admin', isActive: true });
+  if (others === 0) {
+    throw new HttpError(400, 'At least one active super-admin is required');
+  }
+};
+
+// @route   GET /api/admin/me
+// @desc    Get the current admin and their permissions
 // @access  Private (Admin only)
-router.put('/change-password', adminAuthMiddleware, async (req, res) => {
+router.get('/me', adminAuthMiddleware, (req, res) => {
+  res.json({ admin: toAdminResponse(req.admin) });
+});
+
+// @route   GET /api/admin/admins
+// @desc    List admin accounts
+// @access  Private (Admin: admins:manage)
+router.get('/admins', adminAuthMiddleware, requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const admins = await Admin.find().select('-password').sort({ username: 1 });
+    res.json({ admins: admins.map(toAdminResponse), roles: ADMIN_ROLES });
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/admins
+// @desc    Create an admin account
+// @access  Private (Admin: admins:manage)
+router.post('/admins', adminAuthMiddleware, requirePermission(PERMISSIONS.ADMINS_MANAGE), validateRequest({
+  body: {
+    username: { type: 'string', minLength: 3, maxLength: 50, required: true },
+    password: { ...rules.password, required: true },
+    role: { type: 'string', enum: ADMIN_ROLES }
+  }
+}), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    const admin = new Admin({ username, password, role, createdBy: req.admin._id });
+    await admin.save();
+
+    await recordAudit(req, { action: 'admin.create', targetType: 'Admin', targetId: admin._id, after: admin });
+
+    res.status(201).json({ message: 'Admin created successfully', admin: toAdminResponse(admin) });
+  } catch (error) {
+    console.error('Create admin error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Username already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ message: 'Current password and new password are required' });
+// @route   PUT /api/admin/admins/:adminId/role
+// @desc    Change an admin's role (signs them out everywhere)
+// @access  Private (Admin: admins:manage)
+router.put('/admins/:adminId/role', adminAuthMiddleware, requirePermission(PERMISSIONS.ADMINS_MANAGE), validateRequest({
+  params: { adminId: { ...rules.objectId, required: true } },
+  body: { role: { type: 'string', enum: ADMIN_ROLES, required: true } }
+}), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.admin._id.equals(req.params.adminId)) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const admin = await Admin.findById(req.params.adminId);
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    if (admin.role !== role) {
+      await ensureOtherSuperAdmin(admin);
+      const before = toAuditSnapshot(admin);
+      admin.role = role;
+      admin.tokenVersion += 1;
+      await admin.save();
+      await revokeAllSessions('Admin', admin._id, 'role-changed');
+
+      await recordAudit(req, { action: 'admin.role.update', targetType: 'Admin', targetId: admin._id, before, after: admin });
+    }
+
+    res.json({ message: 'Admin role updated successfully', admin: toAdminResponse(admin) });
+  } catch (error) {
+    console.error('Change admin role error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/admins/:adminId/status
+// @desc    Disable or re-enable an admin account
+// @access  Private (Admin: admins:manage)
+router.put('/admins/:adminId/status', adminAuthMiddleware, requirePermission(PERMISSIONS.ADMINS_MANAGE), validateRequest({
+  params: { adminId: { ...rules.objectId, required: true } },
+  body: { isActive: { type: 'boolean', required: true } }
+}), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (req.admin._id.equals(req.params.adminId)) {
+      return res.status(400).json({ message: 'You cannot disable your own account' });
+    }
+
+    const admin = await Admin.findById(req.params.adminId);
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    if (admin.isActive !== isActive) {
+      if (!isActive) {
+        await ensureOtherSuperAdmin(admin);
+        admin.tokenVersion += 1;
+      }
+      const before = toAuditSnapshot(admin);
+      admin.isActive = isActive;
+      await admin.save();
+
+      if (!isActive) {
+        await revokeAllSessions('Admin', admin._id, 'disabled');
+      }
+
+      await recordAudit(req, { action: 'admin.status.update', targetType: 'Admin', targetId: admin._id, before, after: admin });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ message: 'New password must be at least 6 characters long' });
+    res.json({
+      message: isActive ? 'Admin enabled successfully' : 'Admin disabled successfully',
+      admin: toAdminResponse(admin)
+    });
+  } catch (error) {
+    console.error('Change admin status error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/change-password
+// @desc    Change admin password
+// @access  Private (Admin only)
+router.put('/change-password', adminAuthMiddleware, validateRequest({
+  body: {
+    currentPassword: { type: 'string', trim: false, required: true },
+    newPassword: { ...rules.password, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
 
     // Find admin
     const admin = await Admin.findById(req.admin.id);
@@ -157,11 +775,17 @@ router.put('/change-password', adminAuthMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
-    // Update password
+    // Update password and invalidate every previously issued access token
     admin.password = newPassword;
+    admin.tokenVersion += 1;
     await admin.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out other devices; this session continues with a fresh access token
+    await revokeAllSessions('Admin', admin._id, 'password-change', req.sessionId);
+    await recordAudit(req, { action: 'admin.password.change', targetType: 'Admin', targetId: admin._id });
+    const token = issueAccessToken(admin, 'Admin', { _id: req.sessionId }, adminClaims(admin));
+
+    res.json({ message: 'Password changed successfully', token });
   } catch (error) {
     console.error('Change password error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -169,22 +793,34 @@ router.put('/change-password', adminAuthMiddleware, async (req, res) => {
 });
 
 // @route   GET /api/admin/stats
-// @desc    Get admin dashboard statistics
-// @access  Private (Admin only)
-router.get('/stats', adminAuthMiddleware, async (req, res) => {
+// @desc    Get admin dashboard statistics for an event (?event=, default current)
+// @access  Private (Admin: teams:read)
+router.get('/stats', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_READ), resolveEvent, async (req, res) => {
   try {
-    const totalTeams = await Team.countDocuments();
-    const verifiedPayments = await Team.countDocuments({ paymentStatus: 'verified' });
-    const pendingPayments = await Team.countDocuments({ paymentStatus: 'pending' });
-    const rejectedPayments = await Team.countDocuments({ paymentStatus: 'rejected' });
+    const event = req.event._id;
+    const totalTeams = await Team.countDocuments({ event });
+    const verifiedPayments = await Team.countDocuments({ event, paymentStatus: 'verified' });
+    const pendingPayments = await Team.countDocuments({ event, paymentStatus: 'pending' });
+    const rejectedPayments = await Team.countDocuments({ event, paymentStatus: 'rejected' });
+    const approvedTeams = await Team.countDocuments({ event, status: 'approved' });
+    const pendingTeams = await Team.countDocuments({ event, status: 'pending' });
+    const rejectedTeams = await Team.countDocuments({ event, status: 'rejected' });
+    const waitlistedTeams = await Team.countDocuments({ event, waitlisted: true, status: { $ne: 'rejected' } });
+    const participants = await TeamMembership.countDocuments({ event });
     const totalUsers = await User.countDocuments();
 
     res.json({
+      event: toEventSummary(req.event),
       stats: {
         totalTeams,
         verifiedPayments,
         pendingPayments,
         rejectedPayments,
+        approvedTeams,
+        pendingTeams,
+        rejectedTeams,
+        waitlistedTeams,
+        participants,
         totalUsers,
         paymentVerificationRate: totalTeams > 0 ? ((verifiedPayments / totalTeams) * 100).toFixed(1) : 0
       }
@@ -195,4 +831,1279 @@ router.get('/stats', adminAuthMiddleware, async (req, res) => {
   }
 });
 
+const optionalDate = { type: 'date', nullable: true };
+
+const MAX_ELIGIBILITY_RULES = 20;
+
+// Per-event settings, accepted by PUT /settings (for the selected event) and the event routes
+const eventSettingsSchema = {
+  teamNumberPrefix: { type: 'string', maxLength: 12 },
+  teamSizes: { type: 'array', minItems: 1, items: { type: 'string', enum: Event.TEAM_SIZES } },
+  registrationOpensAt: optionalDate,
+  registrationClosesAt: optionalDate,
+  maxTeams: { type: 'integer', min: 1, nullable: true },
+  maxParticipants: { type: 'integer', min: 1, nullable: true },
+  maxParticipantsPerUniversity: { type: 'integer', min: 1, nullable: true },
+  waitlistEnabled: { type: 'boolean' },
+  registrationLockAt: optionalDate,
+  lockedTeamChangePolicy: { type: 'string', enum: ['freeze', 'approval'] },
+  autoApproveOnPaymentVerified: { type: 'boolean' },
+  leaderboardPublished: { type: 'boolean' },
+  submissionOpensAt: optionalDate,
+  submissionClosesAt: optionalDate,
+  submissionGraceMinutes: { type: 'integer', min: 0 },
+  registrationFee: { type: 'integer', min: 0 },
+  registrationFeeByTeamSize: {
+    type: 'object',
+    fields: Object.fromEntries(Event.TEAM_SIZES.map((teamSize) => [teamSize, { type: 'integer', min: 0, nullable: true }]))
+  },
+  paymentCurrency: { type: 'string', minLength: 3, maxLength: 3 },
+  maxPaymentProofUploads: { type: 'integer', min: 0 },
+  // Replaces the event's rules; send [] to remove them all
+  eligibilityRules: {
+    type: 'array',
+    maxItems: MAX_ELIGIBILITY_RULES,
+    items: {
+      type: 'object',
+      fields: {
+        type: { type: 'string', enum: Event.ELIGIBILITY_RULE_TYPES, required: true },
+        field: { type: 'string', enum: Event.ELIGIBILITY_FIELDS, required: true },
+        values: { type: 'array', maxItems: 50, items: rules.name },
+        count: { type: 'integer', min: 0, nullable: true },
+        message: { ...rules.name, maxLength: 200 }
+      }
+    }
+  }
+};
+
+const eventSchema = {
+  name: { ...rules.name, required: true },
+  slug: { type: 'string', lowercase: true, maxLength: 60, required: true },
+  description: rules.text,
+  startsAt: optionalDate,
+  endsAt: optionalDate,
+  ...eventSettingsSchema
+};
+
+// Windows whose start must come before their end
+const EVENT_WINDOWS = [
+  ['startsAt', 'endsAt', 'Event must start before it ends'],
+  ['registrationOpensAt', 'registrationClosesAt', 'Registration window must open before it closes'],
+  ['submissionOpensAt', 'submissionClosesAt', 'Submission window must open before it closes']
+];
+
+// Copy validated event fields from a request body onto an event
+const applyEventFields = (event, body, fields) => {
+  fields.forEach((field) => {
+    if (body[field] === undefined) return;
+    if (field === 'registrationFeeByTeamSize') {
+      Event.TEAM_SIZES.forEach((teamSize) => {
+        if (body[field][teamSize] !== undefined) event[field][teamSize] = body[field][teamSize];
+      });
+    } else {
+      event[field] = body[field];
+    }
+  });
+
+  EVENT_WINDOWS.forEach(([opens, closes, message]) => {
+    if (event[opens] && event[closes] && event[opens] >= event[closes]) {
+      throw new HttpError(400, message);
+    }
+  });
+};
+
+const toEventSummary = (event) => ({ id: event._id, name: event.name, slug: event.slug, isActive: event.isActive });
+
+// @route   GET /api/admin/settings
+// @desc    Get platform settings and the settings of an event (?event=, default current)
+// @access  Private (Admin: settings:manage)
+router.get('/settings', adminAuthMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), resolveEvent, async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    res.json({ settings, event: req.event });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/settings
+// @desc    Update platform settings and the settings of an event (?event=, default current)
+// @access  Private (Admin: settings:manage)
+router.put('/settings', adminAuthMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), resolveEvent, validateRequest({
+  body: { requireEmailVerification: { type: 'boolean' }, ...eventSettingsSchema }
+}), async (req, res) => {
+  try {
+    const { requireEmailVerification } = req.body;
+
+    const settings = await Settings.getSettings();
+    const settingsBefore = toAuditSnapshot(settings);
+    if (requireEmailVerification !== undefined) {
+      settings.requireEmailVerification = requireEmailVerification;
+    }
+
+    const { event } = req;
+    const eventBefore = toAuditSnapshot(event);
+    applyEventFields(event, req.body, Object.keys(eventSettingsSchema));
+
+    await settings.save();
+    await event.save();
+
+    await recordAudit(req, { action: 'settings.update', targetType: 'Settings', targetId: settings._id, before: settingsBefore, after: settings });
+    await recordAudit(req, { action: 'event.update', targetType: 'Event', targetId: event._id, before: eventBefore, after: event });
+
+    // Raised or removed caps make room for waitlisted teams
+    const promoted = await promoteWaitlistedTeams(event._id);
+
+    res.json({ message: 'Settings updated successfully', settings, event, promotedFromWaitlist: promoted.map(toPromotedTeam) });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    // Per-field errors, e.g. an eligibility rule without its count
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid settings value' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/events
+// @desc    List events (latest first) with their team counts
+// @access  Private (Admin: teams:read)
+router.get('/events', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_READ), async (req, res) => {
+  try {
+    const events = await Event.find().sort({ startsAt: -1, createdAt: -1 });
+    const counts = await Team.aggregate([{ $group: { _id: '$event', count: { $sum: 1 } } }]);
+    const teamCounts = new Map(counts.map((entry) => [String(entry._id), entry.count]));
+
+    res.json({
+      events: events.map((event) => ({
+        ...event.toObject(),
+        teamCount: teamCounts.get(String(event._id)) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/events/:eventId
+// @desc    Get an event (by ID or slug) with its problem statements
+// @access  Private (Admin: teams:read)
+router.get('/events/:eventId', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_READ), async (req, res) => {
+  try {
+    const event = await findEvent(req.params.eventId);
+    const [problemStatements, teamCount] = await Promise.all([
+      ProblemStatement.find({ event: event._id }).sort({ track: 1, title: 1 }),
+      Team.countDocuments({ event: event._id })
+    ]);
+
+    res.json({ event, problemStatements, teamCount });
+  } catch (error) {
+    console.error('Get event error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/events
+// @desc    Create an event (isActive: true also makes it the current event)
+// @access  Private (Admin: settings:manage)
+router.post('/events', adminAuthMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateRequest({
+  body: { ...eventSchema, isActive: { type: 'boolean' } }
+}), async (req, res) => {
+  try {
+    const event = new Event({ name: req.body.name, slug: req.body.slug });
+    applyEventFields(event, req.body, Object.keys(eventSchema));
+
+    await event.save();
+    if (req.body.isActive) {
+      await activateEvent(event);
+    }
+
+    await recordAudit(req, { action: 'event.create', targetType: 'Event', targetId: event._id, after: event });
+
+    res.status(201).json({ message: 'Event created successfully', event });
+  } catch (error) {
+    console.error('Create event error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An event with this slug already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/events/:eventId
+// @desc    Update an event's details and settings
+// @access  Private (Admin: settings:manage)
+router.put('/events/:eventId', adminAuthMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), validateRequest({
+  body: { ...eventSchema, name: rules.name, slug: { ...eventSchema.slug, required: false } }
+}), async (req, res) => {
+  try {
+    const event = await findEvent(req.params.eventId);
+    const before = toAuditSnapshot(event);
+    applyEventFields(event, req.body, Object.keys(eventSchema));
+
+    await event.save();
+
+    await recordAudit(req, { action: 'event.update', targetType: 'Event', targetId: event._id, before, after: event });
+
+    // Raised or removed caps make room for waitlisted teams
+    const promoted = await promoteWaitlistedTeams(event._id);
+
+    res.json({ message: 'Event updated successfully', event, promotedFromWaitlist: promoted.map(toPromotedTeam) });
+  } catch (error) {
+    console.error('Update event error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An event with this slug already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/events/:eventId/activate
+// @desc    Make an event the current event (deactivates the others)
+// @access  Private (Admin: settings:manage)
+router.post('/events/:eventId/activate', adminAuthMiddleware, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const event = await findEvent(req.params.eventId);
+    await activateEvent(event);
+
+    await recordAudit(req, { action: 'event.activate', targetType: 'Event', targetId: event._id });
+
+    res.json({ message: `${event.name} is now the current event`, event: toEventSummary(event) });
+  } catch (error) {
+    console.error('Activate event error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/team-change-requests
+// @desc    List team changes submitted after the registration lock in an event
+// @access  Private (Admin: teams:approve)
+router.get('/team-change-requests', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_APPROVE), resolveEvent, async (req, res) => {
+  try {
+    const filter = { team: { $in: await Team.distinct('_id', { event: req.event._id }) } };
+    if (req.query.status) filter.status = req.query.status;
+
+    const changeRequests = await TeamChangeRequest.find(filter)
+      .populate('team', 'teamName registrationNumber')
+      .populate('requestedBy', 'name email registrationNumber')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({ changeRequests });
+  } catch (error) {
+    console.error('Get team change requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/team-change-requests/:requestId
+// @desc    Approve (and apply) or reject a team change request
+// @access  Private (Admin: teams:approve)
+router.put('/team-change-requests/:requestId', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_APPROVE), validateRequest({
+  params: { requestId: { ...rules.objectId, required: true } },
+  body: {
+    decision: { type: 'string', enum: ['approved', 'rejected'], required: true },
+    note: reasonRule
+  }
+}), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    const changeRequest = await TeamChangeRequest.findById(req.params.requestId);
+    if (!changeRequest) {
+      return res.status(404).json({ message: 'Change request not found' });
+    }
+
+    if (changeRequest.status !== 'pending') {
+      return res.status(400).json({ message: `Change request is already ${changeRequest.status}` });
+    }
+
+    if (decision === 'approved') {
+      const team = await Team.findById(changeRequest.team);
+      if (!team) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+      const before = toAuditSnapshot(team);
+      const result = await applyTeamChange(team, changeRequest.action, changeRequest.payload, changeRequest.requestedBy);
+
+      await recordAudit(req, {
+        action: `team.${changeRequest.action}`,
+        targetType: 'Team',
+        targetId: team._id,
+        before,
+        after: result.team,
+        metadata: { changeRequest: changeRequest._id, requestedBy: changeRequest.requestedBy }
+      });
+    }
+
+    changeRequest.status = decision;
+    changeRequest.reviewedBy = req.admin._id;
+    changeRequest.reviewedAt = new Date();
+    changeRequest.reviewNote = note;
+    await changeRequest.save();
+
+    await recordAudit(req, {
+      action: `team-change-request.${decision === 'approved' ? 'approve' : 'reject'}`,
+      targetType: 'TeamChangeRequest',
+      targetId: changeRequest._id,
+      metadata: { note }
+    });
+
+    res.json({
+      message: decision === 'approved' ? 'Change request approved and applied' : 'Change request rejected',
+      changeRequest
+    });
+  } catch (error) {
+    console.error('Review team change request error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, code: error.code, errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Problem statement fields accepted on create and update
+const problemStatementFields = {
+  title: { type: 'string', maxLength: 200 },
+  description: { ...rules.text, maxLength: 5000 },
+  track: rules.name,
+  sponsor: rules.name,
+  maxTeams: { type: 'integer', min: 1, nullable: true },
+  isActive: { type: 'boolean' }
+};
+
+// @route   GET /api/admin/problem-statements
+// @desc    Get all problem statements of an event (including inactive) with team counts
+// @access  Private (Admin: problem-statements:manage)
+router.get('/problem-statements', adminAuthMiddleware, requirePermission(PERMISSIONS.PROBLEM_STATEMENTS_MANAGE), resolveEvent, async (req, res) => {
+  try {
+    const statements = await ProblemStatement.find({ event: req.event._id }).sort({ track: 1, title: 1 });
+    const teamCounts = await countTeamsByProblemStatement(statements.map((statement) => statement._id));
+
+    const problemStatements = statements.map((statement) => {
+      const teamCount = teamCounts.get(String(statement._id)) || 0;
+      return {
+        ...statement.toObject(),
+        teamCount,
+        remainingSlots: getRemainingSlots(statement, teamCount)
+      };
+    });
+
+    res.json({ problemStatements });
+  } catch (error) {
+    console.error('Get problem statements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/problem-statements
+// @desc    Create a problem statement for an event (?event=, default current)
+// @access  Private (Admin: problem-statements:manage)
+router.post('/problem-statements', adminAuthMiddleware, requirePermission(PERMISSIONS.PROBLEM_STATEMENTS_MANAGE), resolveEvent, validateRequest({
+  body: { ...problemStatementFields, title: { ...problemStatementFields.title, required: true } }
+}), async (req, res) => {
+  try {
+    const { title, description, track, sponsor, maxTeams, isActive } = req.body;
+
+    const problemStatement = new ProblemStatement({
+      event: req.event._id,
+      title,
+      description,
+      track,
+      sponsor,
+      maxTeams: maxTeams || null,
+      isActive
+    });
+
+    await problemStatement.save();
+
+    await recordAudit(req, {
+      action: 'problem-statement.create',
+      targetType: 'ProblemStatement',
+      targetId: problemStatement._id,
+      after: problemStatement
+    });
+
+    res.status(201).json({ message: 'Problem statement created successfully', problemStatement });
+  } catch (error) {
+    console.error('Create problem statement error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A problem statement with this title already exists in this event' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/problem-statements/:statementId
+// @desc    Update a problem statement
+// @access  Private (Admin: problem-statements:manage)
+router.put('/problem-statements/:statementId', adminAuthMiddleware, requirePermission(PERMISSIONS.PROBLEM_STATEMENTS_MANAGE), validateRequest({
+  params: { statementId: { ...rules.objectId, required: true } },
+  body: problemStatementFields
+}), async (req, res) => {
+  try {
+    const problemStatement = await ProblemStatement.findById(req.params.statementId);
+    if (!problemStatement) {
+      return res.status(404).json({ message: 'Problem statement not found' });
+    }
+
+    const before = toAuditSnapshot(problemStatement);
+    const fields = ['title', 'description', 'track', 'sponsor', 'maxTeams', 'isActive'];
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) problemStatement[field] = req.body[field];
+    });
+    if (!problemStatement.maxTeams) problemStatement.maxTeams = null;
+
+    await problemStatement.save();
+
+    await recordAudit(req, {
+      action: 'problem-statement.update',
+      targetType: 'ProblemStatement',
+      targetId: problemStatement._id,
+      before,
+      after: problemStatement
+    });
+
+    res.json({ message: 'Problem statement updated successfully', problemStatement });
+  } catch (error) {
+    console.error('Update problem statement error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A problem statement with this title already exists in this event' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/problem-statements/:statementId
+// @desc    Delete a problem statement that no team has chosen
+// @access  Private (Admin: problem-statements:manage)
+router.delete('/problem-statements/:statementId', adminAuthMiddleware, requirePermission(PERMISSIONS.PROBLEM_STATEMENTS_MANAGE), validateRequest({
+  params: { statementId: { ...rules.objectId, required: true } }
+}), async (req, res) => {
+  try {
+    const problemStatement = await ProblemStatement.findById(req.params.statementId);
+    if (!problemStatement) {
+      return res.status(404).json({ message: 'Problem statement not found' });
+    }
+
+    const teamCount = await Team.countDocuments({ problemStatement: problemStatement._id });
+    if (teamCount > 0) {
+      return res.status(400).json({
+        message: 'Problem statement is used by registered teams. Deactivate it instead.'
+      });
+    }
+
+    await ProblemStatement.deleteOne({ _id: problemStatement._id });
+
+    await recordAudit(req, {
+      action: 'problem-statement.delete',
+      targetType: 'ProblemStatement',
+      targetId: problemStatement._id,
+      before: problemStatement
+    });
+
+    res.json({ message: 'Problem statement deleted successfully' });
+  } catch (error) {
+    console.error('Delete problem statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Judge fields safe to return to admins
+const toJudgeResponse = (judge) => ({
+  id: judge._id,
+  email: judge.email,
+  name: judge.name,
+  university: judge.university,
+  event: judge.event,
+  tracks: judge.tracks,
+  assignedTeams: judge.assignedTeams,
+  isActive: judge.isActive,
+  lastLogin: judge.lastLogin
+});
+
+// Judge fields an admin can set on create and update (email only on create)
+const judgeFields = {
+  password: rules.password,
+  name: rules.name,
+  university: rules.name,
+  tracks: { type: 'array', items: rules.name },
+  assignedTeams: { type: 'array', items: rules.objectId }
+};
+
+// Judges are only assigned teams of their own event
+const assertTeamsInEvent = async (teamIds, eventId) => {
+  const ids = [...new Set(teamIds.map(String))];
+  const count = await Team.countDocuments({ _id: { $in: ids }, event: eventId });
+  if (count !== ids.length) {
+    throw new HttpError(400, 'Assigned teams must belong to the judge\'s event');
+  }
+};
+
+// @route   GET /api/admin/judges
+// @desc    Get the judges of an event (?event=, default current)
+// @access  Private (Admin: judging:manage)
+router.get('/judges', adminAuthMiddleware, requirePermission(PERMISSIONS.JUDGING_MANAGE), resolveEvent, async (req, res) => {
+  try {
+    const judges = await Judge.find({ event: req.event._id })
+      .populate('assignedTeams', 'teamName registrationNumber')
+      .sort({ name: 1 });
+
+    res.json({ judges: judges.map(toJudgeResponse) });
+  } catch (error) {
+    console.error('Get judges error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/judges
+// @desc    Create a judge account for an event (?event=, default current)
+// @access  Private (Admin: judging:manage)
+router.post('/judges', adminAuthMiddleware, requirePermission(PERMISSIONS.JUDGING_MANAGE), resolveEvent, validateRequest({
+  body: {
+    ...judgeFields,
+    email: { ...rules.email, required: true },
+    password: { ...rules.password, required: true },
+    name: { ...rules.name, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { email, password, name, university, tracks, assignedTeams } = req.body;
+
+    if (assignedTeams) await assertTeamsInEvent(assignedTeams, req.event._id);
+
+    const judge = new Judge({
+      event: req.event._id,
+      email,
+      password,
+      name,
+      university,
+      tracks: tracks || [],
+      assignedTeams: assignedTeams || []
+    });
+
+    await judge.save();
+
+    await recordAudit(req, { action: 'judge.create', targetType: 'Judge', targetId: judge._id, after: judge });
+
+    res.status(201).json({ message: 'Judge created successfully', judge: toJudgeResponse(judge) });
+  } catch (error) {
+    console.error('Create judge error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A judge with this email already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/judges/:judgeId
+// @desc    Update a judge's details, track and team assignments
+// @access  Private (Admin: judging:manage)
+router.put('/judges/:judgeId', adminAuthMiddleware, requirePermission(PERMISSIONS.JUDGING_MANAGE), validateRequest({
+  params: { judgeId: { ...rules.objectId, required: true } },
+  body: { ...judgeFields, isActive: { type: 'boolean' } }
+}), async (req, res) => {
+  try {
+    const judge = await Judge.findById(req.params.judgeId);
+    if (!judge) {
+      return res.status(404).json({ message: 'Judge not found' });
+    }
+
+    if (Array.isArray(req.body.assignedTeams)) await assertTeamsInEvent(req.body.assignedTeams, judge.event);
+
+    const before = toAuditSnapshot(judge);
+    const fields = ['name', 'university', 'tracks', 'assignedTeams', 'isActive', 'password'];
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) judge[field] = req.body[field];
+    });
+
+    // Disabling a judge or resetting their password signs them out everywhere
+    const revokeAccess = judge.isModified('password') || (judge.isModified('isActive') && !judge.isActive);
+    if (revokeAccess) judge.tokenVersion += 1;
+
+    await judge.save();
+
+    if (revokeAccess) {
+      await revokeAllSessions('Judge', judge._id, 'revoked-by-admin');
+    }
+
+    await recordAudit(req, {
+      action: 'judge.update',
+      targetType: 'Judge',
+      targetId: judge._id,
+      before,
+      after: judge,
+      metadata: revokeAccess ? { sessionsRevoked: true } : null
+    });
+
+    res.json({ message: 'Judge updated successfully', judge: toJudgeResponse(judge) });
+  } catch (error) {
+    console.error('Update judge error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid judge details' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rubric fields accepted on create and update
+const rubricFields = {
+  name: rules.name,
+  track: { ...rules.name, nullable: true },
+  criteria: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      fields: {
+        name: { ...rules.name, required: true },
+        description: rules.text,
+        weight: { type: 'number', min: 0, required: true },
+        maxScore: { type: 'number', min: 1 }
+      }
+    }
+  },
+  isActive: { type: 'boolean' }
+};
+
+// @route   GET /api/admin/rubrics
+// @desc    Get the rubrics of an event (?event=, default current)
+// @access  Private (Admin: judging:manage)
+router.get('/rubrics', adminAuthMiddleware, requirePermission(PERMISSIONS.JUDGING_MANAGE), resolveEvent, async (req, res) => {
+  try {
+    const rubrics = await Rubric.find({ event: req.event._id }).sort({ track: 1, name: 1 });
+    res.json({ rubrics });
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/rubrics
+// @desc    Create a rubric with weighted criteria for an event (?event=, default current)
+// @access  Private (Admin: judging:manage)
+router.post('/rubrics', adminAuthMiddleware, requirePermission(PERMISSIONS.JUDGING_MANAGE), resolveEvent, validateRequest({
+  body: {
+    ...rubricFields,
+    name: { ...rules.name, required: true },
+    criteria: { ...rubricFields.criteria, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { name, track, criteria, isActive } = req.body;
+
+    const rubric = new Rubric({ event: req.event._id, name, track: track || null, criteria, isActive });
+    await rubric.save();
+
+    await recordAudit(req, { action: 'rubric.create', targetType: 'Rubric', targetId: rubric._id, after: rubric });
+
+    res.status(201).json({ message: 'Rubric created successfully', rubric });
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/rubrics/:rubricId
+// @desc    Update a rubric (criteria can't change once scores exist)
+// @access  Private (Admin: judging:manage)
+router.put('/rubrics/:rubricId', adminAuthMiddleware, requirePermission(PERMISSIONS.JUDGING_MANAGE), validateRequest({
+  params: { rubricId: { ...rules.objectId, required: true } },
+  body: rubricFields
+}), async (req, res) => {
+  try {
+    const rubric = await Rubric.findById(req.params.rubricId);
+    if (!rubric) {
+      return res.status(404).json({ message: 'Rubric not found' });
+    }
+
+    const { name, track, criteria, isActive } = req.body;
+    const before = toAuditSnapshot(rubric);
+
+    if (criteria !== undefined) {
+      const scoreCount = await Score.countDocuments({ rubric: rubric._id });
+      if (scoreCount > 0) {
+        return res.status(400).json({ message: 'Criteria cannot be changed after judges have submitted scores' });
+      }
+      rubric.criteria = criteria;
+    }
+    if (name !== undefined) rubric.name = name;
+    if (track !== undefined) rubric.track = track || null;
+    if (isActive !== undefined) rubric.isActive = isActive;
+
+    await rubric.save();
+
+    await recordAudit(req, { action: 'rubric.update', targetType: 'Rubric', targetId: rubric._id, before, after: rubric });
+
+    res.json({ message: 'Rubric updated successfully', rubric });
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/scores
+// @desc    Get submitted score sheets of an event, optionally for one team or judge
+// @access  Private (Admin: judging:manage)
+router.get('/scores', adminAuthMiddleware, requirePermission(PERMISSIONS.JUDGING_MANAGE), resolveEvent, validateRequest({
+  query: { team: rules.objectId, judge: rules.objectId }
+}), async (req, res) => {
+  try {
+    // A team of another event matches no scores
+    const teamFilter = { event: req.event._id };
+    if (req.query.team) teamFilter._id = req.query.team;
+    const filter = { team: { $in: await Team.distinct('_id', teamFilter) } };
+    if (req.query.judge) filter.judge = req.query.judge;
+
+    const scores = await Score.find(filter)
+      .populate('judge', 'name email university')
+      .populate('team', 'teamName registrationNumber')
+      .populate('rubric', 'name criteria')
+      .sort({ updatedAt: -1 });
+
+    res.json({ scores });
+  } catch (error) {
+    console.error('Get scores error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/leaderboard
+// @desc    Get an event's leaderboard overall or for one track (published or not)
+// @access  Private (Admin: judging:manage)
+router.get('/leaderboard', adminAuthMiddleware, requirePermission(PERMISSIONS.JUDGING_MANAGE), resolveEvent, async (req, res) => {
+  try {
+    const leaderboard = await buildLeaderboard(req.query.track, req.event._id);
+
+    res.json({
+      track: req.query.track || null,
+      published: req.event.leaderboardPublished,
+      leaderboard
+    });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/submissions
+// @desc    Get the latest submission of every team in an event
+// @access  Private (Admin: teams:read)
+router.get('/submissions', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_READ), resolveEvent, async (req, res) => {
+  try {
+    const eventTeams = await Team.distinct('_id', { event: req.event._id });
+    const latest = await Submission.aggregate([
+      { $match: { team: { $in: eventTeams } } },
+      { $sort: { version: -1 } },
+      { $group: { _id: '$team', submission: { $first: '$$ROOT' }, versions: { $sum: 1 } } }
+    ]);
+
+    const submissions = await Submission.populate(
+      latest.map((entry) => ({ ...entry.submission, versions: entry.versions })),
+      [
+        { path: 'team', select: 'teamName registrationNumber' },
+        { path: 'submittedBy', select: 'name email registrationNumber' }
+      ]
+    );
+
+    if (req.query.late === 'true') {
+      return res.json({ submissions: submissions.filter((submission) => submission.isLate) });
+    }
+
+    res.json({ submissions });
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/teams/:teamId/submissions
+// @desc    Get the full submission history of a team
+// @access  Private (Admin: teams:read)
+router.get('/teams/:teamId/submissions', adminAuthMiddleware, requirePermission(PERMISSIONS.TEAMS_READ), validateRequest({
+  params: teamParamsSchema
+}), async (req, res) => {
+  try {
+    const submissions = await Submission.find({ team: req.params.teamId })
+      .populate('submittedBy', 'name email registrationNumber')
+      .sort({ version: -1 });
+
+    res.json({ submissions });
+  } catch (error) {
+    console.error('Get team submissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/payments
+// @desc    List gateway payments of an event (filters: status, provider, team, orderId, transactionId)
+// @access  Private (Admin: payments:verify)
+router.get('/payments', adminAuthMiddleware, requirePermission(PERMISSIONS.PAYMENTS_VERIFY), resolveEvent, validateRequest({
+  query: {
+    status: { type: 'string', enum: Payment.STATUSES },
+    provider: { type: 'string', maxLength: 40 },
+    team: rules.objectId,
+    orderId: { type: 'string', maxLength: 200 },
+    transactionId: { type: 'string', maxLength: 200 }
+  }
+}), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { event: req.event._id };
+    ['status', 'provider', 'team', 'orderId', 'transactionId'].forEach((field) => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .populate('team', 'teamName registrationNumber paymentStatus')
+        .populate('createdBy', 'name email registrationNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Payment.countDocuments(filter)
+    ]);
+
+    res.json({
+      payments,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid payment filter' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/payments/:paymentId/refund
+// @desc    Refund a captured payment in full or in part (amount in the smallest currency unit)
+// @access  Private (Admin: payments:verify)
+router.post('/payments/:paymentId/refund', adminAuthMiddleware, requirePermission(PERMISSIONS.PAYMENTS_VERIFY), validateRequest({
+  params: { paymentId: { ...rules.objectId, required: true } },
+  body: {
+    amount: { type: 'integer', min: 1 },
+    reason: { ...reasonRule, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const before = toAuditSnapshot(payment);
+    const result = await refundPayment(payment, { amount, reason: reason.trim(), refundedBy: req.admin._id });
+
+    await recordAudit(req, {
+      action: 'payment.refund',
+      targetType: 'Payment',
+      targetId: payment._id,
+      before,
+      after: payment,
+      metadata: { refundId: result.refund.refundId, amount: result.refund.amount, reason: reason.trim() }
+    });
+    if (result.team) {
+      await recordAudit(req, {
+        action: 'team.payment-status.update',
+        targetType: 'Team',
+        targetId: result.team._id,
+        before: result.teamBefore,
+        after: result.team,
+        metadata: { source: 'refund', paymentId: payment._id }
+      });
+    }
+
+    res.json({
+      message: 'Refund initiated successfully',
+      refund: result.refund,
+      payment
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid payment ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// "Name <email> (registration number)" for export cells
+const describeUser = (user) => (user ? `${user.name || ''} <${user.email}> (${user.registrationNumber})` : '');
+
+const TEAM_EXPORT_COLUMNS = [
+  { header: 'Registration Number', key: 'registrationNumber', width: 18 },
+  { header: 'Team Name', key: 'teamName', width: 28 },
+  { header: 'Team Size', key: 'teamSize', width: 10 },
+  { header: 'Complete', key: 'isComplete', width: 10 },
+  { header: 'Problem Statement', key: 'problemStatement', width: 36 },
+  { header: 'Track', key: 'track', width: 18 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Status Reason', key: 'statusReason', width: 30 },
+  { header: 'Payment Status', key: 'paymentStatus', width: 14 },
+  { header: 'Leader Name', key: 'leaderName', width: 22 },
+  { header: 'Leader Email', key: 'leaderEmail', width: 28 },
+  { header: 'Leader Registration Number', key: 'leaderRegistrationNumber', width: 22 },
+  { header: 'Leader Phone', key: 'leaderPhone', width: 16 },
+  { header: 'Leader University', key: 'leaderUniversity', width: 28 },
+  { header: 'Members', key: 'members', width: 60 },
+  { header: 'Registered At', key: 'createdAt', width: 20 }
+];
+
+const USER_EXPORT_COLUMNS = [
+  { header: 'Registration Number', key: 'registrationNumber', width: 18 },
+  { header: 'Name', key: 'name', width: 22 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'University', key: 'university', width: 28 },
+  { header: 'Course', key: 'course', width: 18 },
+  { header: 'Year', key: 'year', width: 8 },
+  { header: 'Email Verified', key: 'emailVerified', width: 14 },
+  { header: 'Team Registration Number', key: 'teamRegistrationNumber', width: 22 },
+  { header: 'Team Role', key: 'teamRole', width: 10 },
+  { header: 'Signed Up At', key: 'createdAt', width: 20 }
+];
+
+const PAYMENT_EXPORT_COLUMNS = [
+  { header: 'Registration Number', key: 'registrationNumber', width: 18 },
+  { header: 'Team Name', key: 'teamName', width: 28 },
+  { header: 'Team Size', key: 'teamSize', width: 10 },
+  { header: 'Leader Name', key: 'leaderName', width: 22 },
+  { header: 'Leader Email', key: 'leaderEmail', width: 28 },
+  { header: 'Leader Phone', key: 'leaderPhone', width: 16 },
+  { header: 'Payment Status', key: 'paymentStatus', width: 14 },
+  { header: 'Payment Status Reason', key: 'paymentStatusReason', width: 30 },
+  { header: 'Has Payment Proof', key: 'hasPaymentProof', width: 16 },
+  { header: 'Proof Uploads', key: 'paymentProofCount', width: 12 },
+  { header: 'Team Status', key: 'status', width: 12 },
+  { header: 'Last Updated', key: 'updatedAt', width: 20 }
+];
+
+// Validate the requested export format (csv by default)
+const getExportFormat = (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    res.status(400).json({ message: `Format must be one of: ${FORMATS.join(', ')}` });
+    return null;
+  }
+  return format;
+};
+
+// @route   GET /api/admin/export/teams
+// @desc    Download teams with leader and member details (same filters as /teams, format=csv|xlsx)
+// @access  Private (Admin: exports:read)
+router.get('/export/teams', adminAuthMiddleware, requirePermission(PERMISSIONS.EXPORTS_READ), resolveEvent, async (req, res) => {
+  try {
+    const format = getExportFormat(req, res);
+    if (!format) return;
+
+    const cursor = Team.find(await buildTeamFilter(req.query, req.event._id))
+      .populate('leader', 'name email registrationNumber phone university')
+      .populate('members', 'name email registrationNumber')
+      .populate('problemStatement', 'title track')
+      .sort(parseTeamSort(req.query.sort))
+      .lean()
+      .cursor();
+
+    const rowCount = await streamExport(res, {
+      fileName: 'teams',
+      format,
+      columns: TEAM_EXPORT_COLUMNS,
+      cursor,
+      mapRow: (team) => ({
+        registrationNumber: team.registrationNumber,
+        teamName: team.teamName,
+        teamSize: team.teamSize,
+        isComplete: team.isComplete ? 'Yes' : 'No',
+        problemStatement: team.problemStatement && team.problemStatement.title,
+        track: team.problemStatement && team.problemStatement.track,
+        status: team.status,
+        statusReason: team.statusReason,
+        paymentStatus: team.paymentStatus,
+        leaderName: team.leader && team.leader.name,
+        leaderEmail: team.leader && team.leader.email,
+        leaderRegistrationNumber: team.leader && team.leader.registrationNumber,
+        leaderPhone: team.leader && team.leader.phone,
+        leaderUniversity: team.leader && team.leader.university,
+        members: team.members.map(describeUser).join('; '),
+        createdAt: team.createdAt
+      })
+    });
+
+    await recordAudit(req, { action: 'export.teams', metadata: { format, rowCount, query: req.query } });
+  } catch (error) {
+    console.error('Export teams error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/export/users
+// @desc    Download the leaders and members of an event's teams with profile fields and
+//          their team (team filters restrict to those teams' members)
+// @access  Private (Admin: exports:read)
+router.get('/export/users', adminAuthMiddleware, requirePermission(PERMISSIONS.EXPORTS_READ), resolveEvent, async (req, res) => {
+  try {
+    const format = getExportFormat(req, res);
+    if (!format) return;
+
+    // Team lookup for the team columns (teams are far fewer than users)
+    const teams = await Team.find(await buildTeamFilter(req.query, req.event._id))
+      .select('registrationNumber leader members')
+      .lean();
+    const teamByUser = new Map();
+    teams.forEach((team) => {
+      teamByUser.set(String(team.leader), { registrationNumber: team.registrationNumber, role: 'Leader' });
+      team.members.forEach((member) => {
+        teamByUser.set(String(member), { registrationNumber: team.registrationNumber, role: 'Member' });
+      });
+    });
+
+    // Only participants of the event's (filtered) teams, not every account
+    const cursor = User.find({ _id: { $in: [...teamByUser.keys()] } })
+      .select('-password -passwordResetTokenHash -passwordResetExpires -tokenVersion')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+
+    const rowCount = await streamExport(res, {
+      fileName: 'participants',
+      format,
+      columns: USER_EXPORT_COLUMNS,
+      cursor,
+      mapRow: (user) => {
+        const team = teamByUser.get(String(user._id));
+        return {
+          registrationNumber: user.registrationNumber,
+          name: user.name,
+          email: user.email,
+          phone: user.phone,
+          university: user.university,
+          course: user.course,
+          year: user.year,
+          emailVerified: user.emailVerified ? 'Yes' : 'No',
+          teamRegistrationNumber: team && team.registrationNumber,
+          teamRole: team && team.role,
+          createdAt: user.createdAt
+        };
+      }
+    });
+
+    await recordAudit(req, { action: 'export.users', metadata: { format, rowCount, query: req.query } });
+  } catch (error) {
+    console.error('Export users error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/export/payments
+// @desc    Download payment verification status per team (same filters as /teams)
+// @access  Private (Admin: exports:read)
+router.get('/export/payments', adminAuthMiddleware, requirePermission(PERMISSIONS.EXPORTS_READ), resolveEvent, async (req, res) => {
+  try {
+    const format = getExportFormat(req, res);
+    if (!format) return;
+
+    const cursor = Team.find(await buildTeamFilter(req.query, req.event._id))
+      .select('registrationNumber teamName teamSize leader paymentStatus paymentStatusReason paymentScreenshot paymentScreenshotCloudinaryId paymentProofs status updatedAt')
+      .populate('leader', 'name email phone')
+      .sort(parseTeamSort(req.query.sort))
+      .lean()
+      .cursor();
+
+    const rowCount = await streamExport(res, {
+      fileName: 'payments',
+      format,
+      columns: PAYMENT_EXPORT_COLUMNS,
+      cursor,
+      mapRow: (team) => ({
+        registrationNumber: team.registrationNumber,
+        teamName: team.teamName,
+        teamSize: team.teamSize,
+        leaderName: team.leader && team.leader.name,
+        leaderEmail: team.leader && team.leader.email,
+        leaderPhone: team.leader && team.leader.phone,
+        paymentStatus: team.paymentStatus,
+        paymentStatusReason: team.paymentStatusReason,
+        hasPaymentProof: team.paymentScreenshot || team.paymentScreenshotCloudinaryId ? 'Yes' : 'No',
+        paymentProofCount: (team.paymentProofs || []).length,
+        status: team.status,
+        updatedAt: team.updatedAt
+      })
+    });
+
+    await recordAudit(req, { action: 'export.payments', metadata: { format, rowCount, query: req.query } });
+  } catch (error) {
+    console.error('Export payments error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Get audit log entries (filter by actorType, actor, action, targetType, targetId, from, to)
+// @access  Private (Admin: audit:read)
+router.get('/audit-log', adminAuthMiddleware, requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query, 50, 200);
+    const filter = buildAuditFilter(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid audit log filter' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/audit-log/export
+// @desc    Download audit log entries matching the filters as CSV
+// @access  Private (Admin: audit:read)
+router.get('/audit-log/export', adminAuthMiddleware, requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const cursor = AuditLog.find(buildAuditFilter(req.query)).sort({ createdAt: -1 }).lean().cursor();
+
+    setCsvHeaders(res, 'audit-log');
+    res.write(toCsvRow(['Timestamp', 'Actor Type', 'Actor', 'Actor ID', 'Action', 'Target Type', 'Target ID', 'Changes', 'Metadata', 'IP']));
+
+    for await (const entry of cursor) {
+      res.write(toCsvRow([
+        entry.createdAt,
+        entry.actorType,
+        entry.actorName,
+        entry.actor,
+        entry.action,
+        entry.targetType,
+        entry.targetId,
+        entry.changes && entry.changes.length ? entry.changes : '',
+        entry.metadata,
+        entry.ip
+      ]));
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,21 +1,55 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/authMiddleware');
+const validateRequest = require('../middleware/validate');
+const HttpError = require('../utils/httpError');
+const { rules } = require('../utils/validation');
+const { recordAudit } = require('../utils/auditLog');
+const { getCurrentEvent, assertRegistrationOpen } = require('../utils/events');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../utils/sessions');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const signupSchema = {
+  body: {
+    registrationNumber: { ...rules.registrationNumber, required: true },
+    email: { ...rules.email, required: true },
+    password: { ...rules.password, required: true },
+    name: rules.name,
+    phone: rules.phone,
+    university: rules.name,
+    course: rules.name,
+    year: { type: 'string', maxLength: 20 },
+    gender: { type: 'string', enum: User.GENDERS }
+  }
+};
+
+const loginSchema = {
+  body: {
+    email: { ...rules.email, format: undefined, required: true },
+    password: { type: 'string', trim: false, required: true }
+  }
 };
 
+const tokenSchema = { body: { token: { ...rules.token, required: true } } };
+
+const refreshSchema = { body: { refreshToken: { ...rules.token, required: true } } };
+
 // @route   POST /api/auth/signup
-// @desc    Register a new user
+// @desc    Register a new user (only while the current event's registration window is open)
 // @access  Public
-router.post('/signup', async (req, res) => {
+router.post('/signup', validateRequest(signupSchema), async (req, res) => {
   try {
-    const { registrationNumber, email, password, name, phone, university, course, year } = req.body;
+    const { registrationNumber, email, password, name, phone, university, course, year, gender } = req.body;
+
+    assertRegistrationOpen(await getCurrentEvent());
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -37,26 +71,35 @@ router.post('/signup', async (req, res) => {
       phone,
       university,
       course,
-      year
+      year,
+      gender
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification link (signup still succeeds if mail delivery fails)
+    await sendVerificationEmail(user);
+
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, 'User', req);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         registrationNumber: user.registrationNumber,
         email: user.email,
-        name: user.name
+        name: user.name,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
     console.error('Signup error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error during registration' });
   }
 });
@@ -64,7 +107,7 @@ router.post('/signup', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login existing user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', validateRequest(loginSchema), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -80,17 +123,19 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, 'User', req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         registrationNumber: user.registrationNumber,
         email: user.email,
-        name: user.name
+        name: user.name,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -113,7 +158,9 @@ router.get('/me', authMiddleware, async (req, res) => {
         phone: req.user.phone,
         university: req.user.university,
         course: req.user.course,
-        year: req.user.year
+        year: req.user.year,
+        gender: req.user.gender,
+        emailVerified: req.user.emailVerified
       }
     });
   } catch (error) {
@@ -122,4 +169,205 @@ router.get('/me', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address using the token from the verification email
+// @access  Public
+router.post('/verify-email', validateRequest(tokenSchema), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const decoded = User.decodeEmailVerificationToken(token);
+    if (!decoded) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const sent = await sendVerificationEmail(req.user);
+    if (!sent) {
+      return res.status(502).json({ message: 'Could not send verification email. Please try again later.' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', validateRequest({ body: { email: { ...rules.email, required: true } } }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user, token);
+    }
+
+    // Same response whether or not the account exists
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a password reset token
+// @access  Public
+router.post('/reset-password', validateRequest({
+  body: {
+    token: { ...rules.token, required: true },
+    newPassword: { ...rules.password, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: User.hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = newPassword;
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    user.tokenVersion += 1;
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out everywhere in case the account was compromised
+    await revokeAllSessions('User', user._id, 'password-reset');
+    await recordAudit(req, {
+      action: 'user.password.reset',
+      targetType: 'User',
+      targetId: user._id,
+      actor: { actorType: 'User', actor: user._id, actorName: user.email }
+    });
+
+    res.json({ message: 'Password reset successfully. You can now log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', validateRequest(refreshSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateSession(refreshToken, 'User', (userId) => User.findById(userId));
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSession('User', req.user._id, req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user, including this one
+// @access  Private
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions('User', req.user._id, 'logout-all');
+    res.json({ message: 'Logged out from all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current user
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions('User', req.user._id, req.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authMiddleware, validateRequest({
+  params: { sessionId: { ...rules.objectId, required: true } }
+}), async (req, res) => {
+  try {
+    const revoked = await revokeSession('User', req.user._id, req.params.sessionId, 'revoked-by-user');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
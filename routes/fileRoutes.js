@@ -0,0 +1,42 @@
+const express = require('express');
+const { getStorage } = require('../utils/storage');
+
+const router = express.Router();
+
+// @route   GET /api/files/:publicId
+// @desc    Download a locally stored file through a signed, expiring URL (local storage driver only)
+// @access  Public (verified by the URL signature)
+router.get('/*', async (req, res) => {
+  try {
+    const storage = getStorage();
+    if (storage.name !== 'local') {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const publicId = req.params[0];
+    const { expires, signature } = req.query;
+    if (!storage.verifySignature(publicId, expires, signature)) {
+      return res.status(403).json({ message: 'Link is invalid or has expired' });
+    }
+
+    const filePath = storage.resolveFilePath(publicId);
+    if (!filePath) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.statusCode === 404 ? 404 : 500).json({
+          message: error.statusCode === 404 ? 'File not found' : 'Server error'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Get file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
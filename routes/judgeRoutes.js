@@ -0,0 +1,209 @@
+const express = require('express');
+const Judge = require('../models/Judge');
+const Team = require('../models/Team');
+const Score = require('../models/Score');
+const judgeAuthMiddleware = require('../middleware/judgeAuthMiddleware');
+const validateRequest = require('../middleware/validate');
+const HttpError = require('../utils/httpError');
+const { rules } = require('../utils/validation');
+const {
+  hasConflictOfInterest,
+  isAssignedToTeam,
+  findJudgeableTeams,
+  findRubricForTrack,
+  calculateWeightedTotal
+} = require('../utils/judging');
+const { createSession, rotateSession, revokeSession } = require('../utils/sessions');
+
+const router = express.Router();
+
+// Load a team the judge is allowed to score
+const findTeamForJudge = async (judge, teamId) => {
+  const team = await Team.findOne({ _id: teamId, status: 'approved' })
+    .populate('leader', 'name university')
+    .populate('members', 'name university')
+    .populate('problemStatement', 'title track');
+
+  if (!team || !isAssignedToTeam(judge, team)) {
+    throw new HttpError(404, 'Team not found or not assigned to you');
+  }
+  if (hasConflictOfInterest(judge, team)) {
+    throw new HttpError(403, 'You cannot score a team from your own university');
+  }
+
+  return team;
+};
+
+// @route   POST /api/judges/login
+// @desc    Judge login
+// @access  Public
+router.post('/login', validateRequest({
+  body: {
+    email: { ...rules.email, format: undefined, required: true },
+    password: { type: 'string', trim: false, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const judge = await Judge.findOne({ email });
+    if (!judge || !judge.isActive) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const isMatch = await judge.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    judge.lastLogin = new Date();
+    await judge.save();
+
+    const { token, refreshToken } = await createSession(judge, 'Judge', req);
+
+    res.json({
+      message: 'Judge login successful',
+      token,
+      refreshToken,
+      judge: {
+        id: judge._id,
+        email: judge.email,
+        name: judge.name,
+        tracks: judge.tracks
+      }
+    });
+  } catch (error) {
+    console.error('Judge login error:', error);
+    res.status(500).json({ message: 'Server error during judge login' });
+  }
+});
+
+// @route   POST /api/judges/refresh
+// @desc    Exchange a judge refresh token for a new token pair
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', validateRequest({ body: { refreshToken: { ...rules.token, required: true } } }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateSession(
+      refreshToken,
+      'Judge',
+      (judgeId) => Judge.findOne({ _id: judgeId, isActive: true })
+    );
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Judge refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/judges/logout
+// @desc    Revoke the current judge session
+// @access  Private (Judge only)
+router.post('/logout', judgeAuthMiddleware, async (req, res) => {
+  try {
+    await revokeSession('Judge', req.judge._id, req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Judge logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/judges/teams
+// @desc    Get teams of the judge's event assigned to them with their scoring status
+// @access  Private (Judge only)
+router.get('/teams', judgeAuthMiddleware, async (req, res) => {
+  try {
+    const teams = await findJudgeableTeams(req.judge);
+    const scores = await Score.find({ judge: req.judge._id }).select('team total updatedAt');
+    const scoresByTeam = new Map(scores.map((score) => [String(score.team), score]));
+
+    res.json({
+      teams: teams.map((team) => ({
+        id: team._id,
+        teamName: team.teamName,
+        registrationNumber: team.registrationNumber,
+        problemStatement: team.problemStatement,
+        score: scoresByTeam.get(String(team._id)) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get judge teams error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/judges/teams/:teamId/rubric
+// @desc    Get the rubric and the judge's current score sheet for a team
+// @access  Private (Judge only)
+router.get('/teams/:teamId/rubric', judgeAuthMiddleware, validateRequest({
+  params: { teamId: { ...rules.objectId, required: true } }
+}), async (req, res) => {
+  try {
+    const team = await findTeamForJudge(req.judge, req.params.teamId);
+    const rubric = await findRubricForTrack(team.problemStatement && team.problemStatement.track, team.event);
+
+    if (!rubric) {
+      return res.status(404).json({ message: 'No active rubric for this track' });
+    }
+
+    const score = await Score.findOne({ judge: req.judge._id, team: team._id });
+
+    res.json({ rubric, score });
+  } catch (error) {
+    console.error('Get rubric error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/judges/teams/:teamId/score
+// @desc    Submit or update the judge's scores for a team
+// @access  Private (Judge only)
+router.put('/teams/:teamId/score', judgeAuthMiddleware, validateRequest({
+  params: { teamId: { ...rules.objectId, required: true } },
+  body: {
+    scores: { type: 'array', required: true, items: { type: 'object', fields: { criterion: { ...rules.objectId, required: true }, score: { type: 'number', required: true } } } },
+    comments: rules.text
+  }
+}), async (req, res) => {
+  try {
+    const { scores, comments } = req.body;
+
+    const team = await findTeamForJudge(req.judge, req.params.teamId);
+    const track = team.problemStatement ? team.problemStatement.track : null;
+    const rubric = await findRubricForTrack(track, team.event);
+
+    if (!rubric) {
+      return res.status(404).json({ message: 'No active rubric for this track' });
+    }
+
+    const { criteria, total } = calculateWeightedTotal(rubric, scores);
+
+    const score = await Score.findOneAndUpdate(
+      { judge: req.judge._id, team: team._id },
+      { rubric: rubric._id, track, criteria, comments, total },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ message: 'Score submitted successfully', score });
+  } catch (error) {
+    console.error('Submit score error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,351 @@
+const express = require('express');
+const Team = require('../models/Team');
+const ProblemStatement = require('../models/ProblemStatement');
+const TeammateProfile = require('../models/TeammateProfile');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const resolveEvent = require('../middleware/resolveEvent');
+const validateRequest = require('../middleware/validate');
+const HttpError = require('../utils/httpError');
+const { rules, fromMongooseError } = require('../utils/validation');
+const { getOpenSlots } = require('../utils/teamRules');
+const { findTeamForUser, assertCanJoinTeam, createInvitation } = require('../utils/teamMembership');
+const { parsePagination } = require('../utils/teamQuery');
+const { toAuditSnapshot, recordAudit } = require('../utils/auditLog');
+const {
+  normalizeTags,
+  buildParticipantFilter,
+  buildOpenTeamFilter,
+  findParticipants,
+  findOpenTeams,
+  getSuggestions
+} = require('../utils/matchmaking');
+
+const router = express.Router();
+
+// Matchmaking works on the current event unless ?event= selects another one
+router.use(resolveEvent);
+
+const MAX_TAGS = 20;
+const MAX_PREFERRED_PROBLEM_STATEMENTS = 5;
+
+const tagsRule = { type: 'array', maxItems: MAX_TAGS, items: { type: 'string', maxLength: 40 } };
+
+const profileSchema = {
+  body: {
+    lookingForTeam: { type: 'boolean' },
+    skills: tagsRule,
+    interests: tagsRule,
+    preferredProblemStatements: { type: 'array', maxItems: MAX_PREFERRED_PROBLEM_STATEMENTS, items: rules.objectId },
+    bio: { ...rules.text, maxLength: 500 }
+  }
+};
+
+const teamListingSchema = {
+  body: {
+    lookingForMembers: { type: 'boolean' },
+    wantedSkills: tagsRule
+  }
+};
+
+// Participant fields shown to other users (no contact details)
+const toParticipant = (profile) => ({
+  userId: profile.user._id,
+  name: profile.user.name,
+  university: profile.user.university,
+  course: profile.user.course,
+  year: profile.user.year,
+  skills: profile.skills,
+  interests: profile.interests,
+  preferredProblemStatements: profile.preferredProblemStatements,
+  bio: profile.bio,
+  updatedAt: profile.updatedAt
+});
+
+const toTeamUser = (user) => ({ name: user.name, university: user.university });
+
+// Team fields shown on the discovery listing
+const toOpenTeam = (team) => ({
+  id: team._id,
+  teamName: team.teamName,
+  teamSize: team.teamSize,
+  openSlots: getOpenSlots(team.teamSize, team.members.length),
+  problemStatement: team.problemStatement,
+  wantedSkills: team.wantedSkills,
+  leader: toTeamUser(team.leader),
+  members: team.members.map(toTeamUser)
+});
+
+// @route   GET /api/matchmaking/profile
+// @desc    Get the current user's "looking for team" profile for the event
+// @access  Private
+router.get('/profile', authMiddleware, async (req, res) => {
+  try {
+    const profile = await TeammateProfile.findOne({ event: req.event._id, user: req.user._id })
+      .populate('preferredProblemStatements', 'title track');
+
+    res.json({ profile });
+  } catch (error) {
+    console.error('Get teammate profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/matchmaking/profile
+// @desc    Create or update the current user's "looking for team" profile (lookingForTeam: false hides it)
+// @access  Private
+router.put('/profile', authMiddleware, validateRequest(profileSchema), async (req, res) => {
+  try {
+    const { lookingForTeam, skills, interests, preferredProblemStatements, bio } = req.body;
+    const { event } = req;
+
+    if (preferredProblemStatements) {
+      const ids = [...new Set(preferredProblemStatements)];
+      const available = await ProblemStatement.countDocuments({ _id: { $in: ids }, event: event._id, isActive: true });
+      if (available !== ids.length) {
+        return res.status(400).json({ message: 'One or more problem statements are not available' });
+      }
+    }
+
+    const profile = await TeammateProfile.findOne({ event: event._id, user: req.user._id })
+      || new TeammateProfile({ event: event._id, user: req.user._id });
+    const before = profile.isNew ? null : toAuditSnapshot(profile);
+
+    if (lookingForTeam !== undefined) profile.lookingForTeam = lookingForTeam;
+    if (skills) profile.skills = normalizeTags(skills);
+    if (interests) profile.interests = normalizeTags(interests);
+    if (preferredProblemStatements) profile.preferredProblemStatements = [...new Set(preferredProblemStatements)];
+    if (bio !== undefined) profile.bio = bio;
+    await profile.save();
+
+    await recordAudit(req, {
+      action: 'teammate-profile.update',
+      targetType: 'TeammateProfile',
+      targetId: profile._id,
+      before,
+      after: profile
+    });
+
+    // Users in a team are never listed, whatever their profile says
+    const inTeam = Boolean(await findTeamForUser(req.user._id, event._id));
+
+    res.json({
+      message: inTeam
+        ? 'Profile saved. You are already in a team, so you are not listed as looking for one'
+        : 'Profile saved',
+      profile,
+      listed: profile.lookingForTeam && !inTeam
+    });
+  } catch (error) {
+    console.error('Update teammate profile error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Your profile was saved at the same time by another request. Please try again.' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/matchmaking/my-team
+// @desc    List (or hide) the current user's team in teammate discovery, with the skills it wants
+// @access  Private (Team leader only)
+router.put('/my-team', authMiddleware, validateRequest(teamListingSchema), async (req, res) => {
+  try {
+    const { lookingForMembers, wantedSkills } = req.body;
+
+    const team = await Team.findOne({ event: req.event._id, leader: req.user._id });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found or you are not the team leader' });
+    }
+
+    const before = toAuditSnapshot(team);
+    if (lookingForMembers !== undefined) team.lookingForMembers = lookingForMembers;
+    if (wantedSkills) team.wantedSkills = normalizeTags(wantedSkills);
+    await team.save();
+
+    await recordAudit(req, {
+      action: 'team.listing.update',
+      targetType: 'Team',
+      targetId: team._id,
+      before,
+      after: team
+    });
+
+    res.json({
+      message: team.lookingForMembers ? 'Your team is listed as looking for members' : 'Your team is no longer listed',
+      lookingForMembers: team.lookingForMembers,
+      wantedSkills: team.wantedSkills,
+      openSlots: getOpenSlots(team.teamSize, team.members.length)
+    });
+  } catch (error) {
+    console.error('Update team listing error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/matchmaking/participants
+// @desc    Search participants looking for a team (filters: skills, interests, problemStatement, university,
+//          search (name); page, limit)
+// @access  Private
+router.get('/participants', authMiddleware, async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = await buildParticipantFilter(req.event._id, req.query, req.user._id);
+
+    const [profiles, total] = await Promise.all([
+      findParticipants(filter, { skip, limit }),
+      TeammateProfile.countDocuments(filter)
+    ]);
+
+    res.json({
+      participants: profiles.filter((profile) => profile.user).map(toParticipant),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Search participants error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid participant filter' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/matchmaking/teams
+// @desc    Search teams looking for members with open slots (filters: skills (wanted), teamSize,
+//          problemStatement, search (team name); page, limit)
+// @access  Private
+router.get('/teams', authMiddleware, async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = buildOpenTeamFilter(req.event._id, req.query);
+
+    const [teams, total] = await Promise.all([
+      findOpenTeams(filter, { skip, limit }),
+      Team.countDocuments(filter)
+    ]);
+
+    res.json({
+      teams: teams.map(toOpenTeam),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Search open teams error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid team filter' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/matchmaking/suggestions
+// @desc    Suggested teams and participants ranked by complementary skills, shared problem statement
+//          interest and university (leaders of teams with open slots get participants to invite)
+// @access  Private
+router.get('/suggestions', authMiddleware, validateRequest({
+  query: { limit: { type: 'integer', min: 1, max: 50 } }
+}), async (req, res) => {
+  try {
+    const { team, teams, participants } = await getSuggestions(req.user, req.event, { limit: req.query.limit });
+
+    res.json({
+      team: team ? { id: team._id, teamName: team.teamName, openSlots: getOpenSlots(team.teamSize, team.members.length) } : null,
+      teams: teams.map((match) => ({ ...toOpenTeam(match.team), score: match.score, reasons: match.reasons })),
+      participants: participants.map((match) => ({ ...toParticipant(match.profile), score: match.score, reasons: match.reasons }))
+    });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/matchmaking/teams/:teamId/join-requests
+// @desc    Request to join a listed team (answered by the leader like any join request)
+// @access  Private
+router.post('/teams/:teamId/join-requests', authMiddleware, requireVerifiedEmail, validateRequest({
+  params: { teamId: { ...rules.objectId, required: true } }
+}), async (req, res) => {
+  try {
+    const team = await Team.findOne({ _id: req.params.teamId, event: req.event._id, lookingForMembers: true });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found or not looking for members' });
+    }
+
+    await assertCanJoinTeam(team, req.user._id);
+    const joinRequest = await createInvitation(team, req.user._id, req.user._id, 'request');
+
+    await recordAudit(req, {
+      action: 'invitation.request',
+      targetType: 'Invitation',
+      targetId: joinRequest._id,
+      metadata: { team: team._id, source: 'matchmaking' }
+    });
+
+    res.status(201).json({ message: 'Join request sent to the team leader', joinRequest });
+  } catch (error) {
+    console.error('Matchmaking join request error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, code: error.code, errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/matchmaking/participants/:userId/invitations
+// @desc    Invite a participant who is looking for a team to the current user's team
+// @access  Private (Team leader only)
+router.post('/participants/:userId/invitations', authMiddleware, requireVerifiedEmail, validateRequest({
+  params: { userId: { ...rules.objectId, required: true } }
+}), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const team = await Team.findOne({ event: req.event._id, leader: req.user._id });
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found or you are not the team leader' });
+    }
+
+    const profile = await TeammateProfile.findOne({ event: req.event._id, user: userId, lookingForTeam: true });
+    if (!profile) {
+      return res.status(404).json({ message: 'Participant not found or not looking for a team' });
+    }
+
+    await assertCanJoinTeam(team, userId);
+    const invitation = await createInvitation(team, userId, req.user._id);
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { team: team._id, user: userId, source: 'matchmaking' }
+    });
+
+    res.status(201).json({ message: 'Invitation sent', invitation });
+  } catch (error) {
+    console.error('Matchmaking invitation error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message, code: error.code, errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
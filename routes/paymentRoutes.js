@@ -0,0 +1,199 @@
+const express = require('express');
+const Payment = require('../models/Payment');
+const authMiddleware = require('../middleware/authMiddleware');
+const validateRequest = require('../middleware/validate');
+const resolveEvent = require('../middleware/resolveEvent');
+const HttpError = require('../utils/httpError');
+const { findTeamForUser } = require('../utils/teamMembership');
+const { recordAudit } = require('../utils/auditLog');
+const { getPaymentProvider, isWebhookConfigured, createTeamOrder, handlePaymentEvent } = require('../utils/payments');
+
+const router = express.Router();
+
+// Audit the payment and (when it changed) team updates caused by a gateway event
+const auditPaymentEvent = async (req, type, result) => {
+  await recordAudit(req, {
+    action: `payment.${type}`,
+    targetType: 'Payment',
+    targetId: result.payment._id,
+    before: result.paymentBefore,
+    after: result.payment,
+    metadata: { provider: result.payment.provider, orderId: result.payment.orderId }
+  });
+
+  if (result.team) {
+    await recordAudit(req, {
+      action: 'team.payment-status.update',
+      targetType: 'Team',
+      targetId: result.team._id,
+      before: result.teamBefore,
+      after: result.team,
+      metadata: { source: 'payment-gateway', paymentId: result.payment._id }
+    });
+  }
+};
+
+// @route   GET /api/payments/fee
+// @desc    Get the registration fee for the current user's team
+// @access  Private
+router.get('/fee', authMiddleware, resolveEvent, async (req, res) => {
+  try {
+    const team = await findTeamForUser(req.user._id, req.event._id);
+    if (!team) {
+      return res.status(404).json({ message: 'No team found' });
+    }
+
+    res.json({
+      amount: req.event.getRegistrationFee(team.teamSize),
+      currency: req.event.paymentCurrency,
+      teamSize: team.teamSize,
+      paymentStatus: team.paymentStatus,
+      provider: getPaymentProvider().name
+    });
+  } catch (error) {
+    console.error('Get payment fee error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/payments/orders
+// @desc    Create a gateway order for the current user's team registration fee
+// @access  Private
+router.post('/orders', authMiddleware, resolveEvent, async (req, res) => {
+  try {
+    const team = await findTeamForUser(req.user._id, req.event._id);
+    if (!team) {
+      return res.status(404).json({ message: 'No team found' });
+    }
+
+    const { payment, checkout, reused } = await createTeamOrder(team, req.user);
+
+    if (!reused) {
+      await recordAudit(req, {
+        action: 'payment.order.create',
+        targetType: 'Payment',
+        targetId: payment._id,
+        after: payment,
+        metadata: { teamId: team._id }
+      });
+    }
+
+    res.status(reused ? 200 : 201).json({
+      message: reused ? 'Existing payment order returned' : 'Payment order created',
+      payment,
+      checkout
+    });
+  } catch (error) {
+    console.error('Create payment order error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/payments/my-team
+// @desc    List gateway payments of the current user's team (latest first)
+// @access  Private
+router.get('/my-team', authMiddleware, resolveEvent, async (req, res) => {
+  try {
+    const team = await findTeamForUser(req.user._id, req.event._id);
+    if (!team) {
+      return res.status(404).json({ message: 'No team found' });
+    }
+
+    const payments = await Payment.find({ team: team._id }).sort({ createdAt: -1 });
+
+    res.json({ paymentStatus: team.paymentStatus, payments });
+  } catch (error) {
+    console.error('Get team payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/payments/webhook
+// @desc    Receive signed payment gateway events (captured, failed, refunded)
+// @access  Public (verified by the provider signature)
+router.post('/webhook', async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (!isWebhookConfigured(provider)) {
+      return res.status(503).json({ message: 'Payment webhooks are not configured' });
+    }
+
+    const signature = req.get(provider.signatureHeader);
+
+    if (!provider.verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const event = provider.parseWebhookEvent(req.body);
+    const result = await handlePaymentEvent(event);
+
+    if (!result) {
+      // Acknowledge unknown or already applied events so the gateway stops retrying
+      return res.json({ received: true, ignored: true });
+    }
+
+    await auditPaymentEvent(req, event.type, result);
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/payments/mock/complete
+// @desc    Simulate a gateway webhook for an order (mock provider outside production only).
+//          Body: { orderId, event? } where event defaults to payment.captured
+// @access  Private
+router.post('/mock/complete', authMiddleware, resolveEvent, validateRequest({
+  body: {
+    orderId: { type: 'string', maxLength: 100, required: true },
+    event: { type: 'string', enum: ['payment.captured', 'payment.failed', 'refund.processed', 'refund.failed'] }
+  }
+}), async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (provider.name !== 'mock' || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    if (!isWebhookConfigured(provider)) {
+      return res.status(503).json({ message: 'Set PAYMENT_WEBHOOK_SECRET to simulate payments' });
+    }
+
+    const { orderId, event = 'payment.captured' } = req.body;
+    const payment = await Payment.findOne({ orderId });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment order not found' });
+    }
+
+    const team = await findTeamForUser(req.user._id, req.event._id);
+    if (!team || !team.equals(payment.team)) {
+      return res.status(403).json({ message: 'This order does not belong to your team' });
+    }
+
+    // Goes through the same signature check and handler as a real webhook
+    const webhook = provider.buildWebhook({ event, orderId, amount: payment.amount });
+    if (!provider.verifyWebhookSignature(webhook.rawBody, webhook.signature)) {
+      return res.status(500).json({ message: 'Mock webhook signature mismatch' });
+    }
+
+    const parsedEvent = provider.parseWebhookEvent(webhook.body);
+    const result = await handlePaymentEvent(parsedEvent);
+    if (result) {
+      await auditPaymentEvent(req, parsedEvent.type, result);
+    }
+
+    res.json({
+      message: result ? 'Mock payment event applied' : 'Mock payment event ignored',
+      payment: result ? result.payment : payment
+    });
+  } catch (error) {
+    console.error('Mock payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const multer = require('multer');
+const Submission = require('../models/Submission');
+const authMiddleware = require('../middleware/authMiddleware');
+const handleUpload = require('../middleware/handleUpload');
+const resolveEvent = require('../middleware/resolveEvent');
+const validateRequest = require('../middleware/validate');
+const HttpError = require('../utils/httpError');
+const { rules, fromMongooseError } = require('../utils/validation');
+const { findTeamForUser } = require('../utils/teamMembership');
+const { uploadDocument } = require('../utils/imageUpload');
+const { assertFileType } = require('../utils/uploadValidation');
+const { recordAudit } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// Submissions belong to the current event unless ?event= selects another one
+router.use(resolveEvent);
+
+const PRESENTATION_MIME_TYPES = [
+  'application/pdf',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+// Configure multer for memory storage (decks are uploaded directly to the configured storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (PRESENTATION_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new HttpError(415, 'Only PDF or PowerPoint presentations are allowed'), false);
+    }
+  }
+});
+
+const submissionSchema = {
+  body: {
+    repoUrl: { type: 'string', format: 'url', maxLength: 500, required: true },
+    demoVideoUrl: { type: 'string', format: 'url', maxLength: 500 },
+    description: { ...rules.text, maxLength: 5000 }
+  }
+};
+
+// Tech stack may arrive as an array (JSON) or a comma separated string (multipart)
+const parseTechStack = (techStack) => {
+  if (!techStack) return [];
+  const tags = Array.isArray(techStack) ? techStack : String(techStack).split(',');
+  return [...new Set(tags.map((tag) => String(tag).trim()).filter(Boolean))];
+};
+
+// Public view of the submission window
+const toWindowResponse = (event) => ({
+  opensAt: event.submissionOpensAt,
+  closesAt: event.submissionClosesAt,
+  graceMinutes: event.submissionGraceMinutes,
+  state: event.getSubmissionWindowState()
+});
+
+// @route   GET /api/submissions/window
+// @desc    Get the project submission window
+// @access  Public
+router.get('/window', async (req, res) => {
+  try {
+    res.json({ window: toWindowResponse(req.event) });
+  } catch (error) {
+    console.error('Get submission window error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/submissions/my-team
+// @desc    Get all submission versions of the current user's team (latest first)
+// @access  Private
+router.get('/my-team', authMiddleware, async (req, res) => {
+  try {
+    const team = await findTeamForUser(req.user._id, req.event._id);
+    if (!team) {
+      return res.status(404).json({ message: 'No team found' });
+    }
+
+    const submissions = await Submission.find({ team: team._id })
+      .populate('submittedBy', 'name email registrationNumber')
+      .sort({ version: -1 });
+
+    res.json({ latest: submissions[0] || null, submissions });
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/submissions
+// @desc    Submit (or resubmit) the team's project
+// @access  Private
+router.post('/', authMiddleware, handleUpload(upload.single('presentation')), validateRequest(submissionSchema), async (req, res) => {
+  try {
+    const { repoUrl, demoVideoUrl, techStack, description } = req.body;
+
+    const team = await findTeamForUser(req.user._id, req.event._id);
+    if (!team) {
+      return res.status(404).json({ message: 'No team found' });
+    }
+
+    const windowState = req.event.getSubmissionWindowState();
+    if (windowState === 'not-configured' || windowState === 'not-open') {
+      return res.status(403).json({ message: 'Project submissions are not open yet' });
+    }
+    if (windowState === 'closed') {
+      return res.status(403).json({ message: 'The submission deadline has passed' });
+    }
+
+    const previous = await Submission.findOne({ team: team._id }).sort({ version: -1 });
+
+    // Keep the previous deck unless a new one was uploaded
+    let presentation = previous ? previous.presentation : undefined;
+    if (req.file) {
+      // The client mimetype is not trusted, check the real content
+      const fileType = assertFileType(req.file, PRESENTATION_MIME_TYPES);
+      const uploadResult = await uploadDocument(req.file, team._id.toString(), fileType);
+      presentation = {
+        url: uploadResult.url,
+        cloudinaryId: uploadResult.publicId,
+        originalName: req.file.originalname
+      };
+    }
+
+    const submission = new Submission({
+      team: team._id,
+      version: previous ? previous.version + 1 : 1,
+      submittedBy: req.user._id,
+      repoUrl,
+      demoVideoUrl,
+      presentation,
+      techStack: parseTechStack(techStack),
+      description,
+      isLate: windowState === 'grace'
+    });
+
+    await submission.save();
+
+    await recordAudit(req, {
+      action: 'submission.create',
+      targetType: 'Submission',
+      targetId: submission._id,
+      after: submission,
+      metadata: { team: team._id, version: submission.version }
+    });
+
+    res.status(201).json({
+      message: submission.isLate
+        ? 'Project submitted after the deadline and marked as late'
+        : 'Project submitted successfully',
+      submission
+    });
+  } catch (error) {
+    console.error('Project submission error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: fromMongooseError(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Another submission was saved at the same time. Please try again.' });
+    }
+    res.status(500).json({ message: 'Server error during project submission' });
+  }
+});
+
+module.exports = router;
@@ -1,167 +1,455 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const Team = require("../models/Team");
 const User = require("../models/User");
+const Invitation = require("../models/Invitation");
+const TeamChangeRequest = require("../models/TeamChangeRequest");
+const ProblemStatement = require("../models/ProblemStatement");
 const authMiddleware = require("../middleware/authMiddleware");
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
+const handleUpload = require("../middleware/handleUpload");
+const resolveEvent = require("../middleware/resolveEvent");
+const validateRequest = require("../middleware/validate");
 const {
   compressAndUploadImage,
-  deleteImageFromCloudinary,
-  extractPublicIdFromUrl,
+  uploadPdfReceipt,
 } = require("../utils/imageUpload");
+const {
+  assertFileType,
+  assertImageWithinLimits,
+} = require("../utils/uploadValidation");
+const HttpError = require("../utils/httpError");
+const { rules, fromMongooseError } = require("../utils/validation");
+const {
+  TEAM_SIZE_LIMITS,
+  getMemberLimits,
+  getOpenSlots,
+  describeTeamSize,
+} = require("../utils/teamRules");
+const {
+  findTeamForUser,
+  claimMembership,
+  assertCanJoinTeam,
+  createInvitation,
+  acceptInvitation,
+} = require("../utils/teamMembership");
+const { nextTeamRegistrationNumber } = require("../utils/teamNumbers");
+const { getEventForTeam, assertRegistrationOpen } = require("../utils/events");
+const {
+  placeNewTeam,
+  getWaitlistPosition,
+} = require("../utils/registrationCapacity");
+const { applyTeamChange } = require("../utils/teamLifecycle");
+const {
+  assertEligible,
+  loadProfiles,
+  getTeamEligibility,
+} = require("../utils/eligibility");
+const {
+  countTeamsByProblemStatement,
+  getRemainingSlots,
+  assertProblemStatementAvailable,
+} = require("../utils/problemStatements");
+const { buildLeaderboard } = require("../utils/judging");
+const { toAuditSnapshot, recordAudit } = require("../utils/auditLog");
+const {
+  findPaymentProof,
+  createPaymentProofUrl,
+} = require("../utils/paymentProofs");
+const {
+  findDuplicateProofs,
+  flagDuplicateProofs,
+} = require("../utils/imageHash");
 
 const router = express.Router();
 
-// Configure multer for memory storage (we'll upload directly to Cloudinary)
+// Team routes work on the current event unless ?event= selects another one
+router.use(resolveEvent);
+
+// Configure multer for memory storage (we'll upload directly to the configured storage)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit (before compression)
   },
+  // Cheap first check on the client mimetype; the content is sniffed after upload
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith("image/")) {
+    if (
+      file.mimetype.startsWith("image/") ||
+      file.mimetype === "application/pdf"
+    ) {
       cb(null, true);
     } else {
-      cb(new Error("Only image files are allowed"), false);
+      cb(new HttpError(415, "Only image or PDF files are allowed"), false);
     }
   },
 });
 
-// @route   POST /api/teams/register
-// @desc    Register a team
-// @access  Private
-router.post("/register", authMiddleware, async (req, res) => {
-  try {
-    const { teamName, members, problemStatement, teamSize } = req.body;
+// Payment proof content types accepted after sniffing the file
+const PAYMENT_PROOF_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "application/pdf",
+];
 
-    // Check if team name already exists
-    const existingTeamName = await Team.findOne({ teamName });
-    if (existingTeamName) {
-      return res
-        .status(400)
-        .json({
-          message: "Team name already exists. Please choose a different name.",
-        });
-    }
+const TEAM_SIZES = Object.keys(TEAM_SIZE_LIMITS);
+
+const teamParamsSchema = { teamId: { ...rules.objectId, required: true } };
+const invitationParamsSchema = {
+  invitationId: { ...rules.objectId, required: true },
+};
+
+const registerSchema = {
+  body: {
+    teamName: { ...rules.name, required: true },
+    teamSize: { type: "string", enum: TEAM_SIZES, required: true },
+    problemStatement: { ...rules.objectId, required: true },
+    members: {
+      type: "array",
+      maxItems: TEAM_SIZE_LIMITS.Team.max,
+      items: {
+        type: "object",
+        fields: {
+          email: { ...rules.email, required: true },
+          registrationNumber: { ...rules.registrationNumber, required: true },
+        },
+      },
+    },
+  },
+};
+
+const updateTeamSchema = {
+  params: teamParamsSchema,
+  body: {
+    teamName: rules.name,
+    teamSize: { type: "string", enum: TEAM_SIZES },
+    problemStatement: rules.objectId,
+  },
+};
 
-    // Check if user is already in a team
-    const existingTeam = await Team.findOne({
+// Payment details never shown on public team listings
+const PRIVATE_TEAM_FIELDS =
+  "-paymentScreenshot -paymentScreenshotCloudinaryId -paymentProofs -paymentStatusReason -paymentDuplicateScore";
+
+// Payment proofs a team may still upload (null when unlimited)
+const getPaymentProofAttemptsLeft = (team, event) => {
+  if (!event.maxPaymentProofUploads) return null;
+  return Math.max(event.maxPaymentProofUploads - team.paymentProofs.length, 0);
+};
+
+// Apply a team change now, or queue it for admin approval once registration is locked
+const submitTeamChange = async (req, res, action, payload) => {
+  try {
+    const team = await Team.findOne({
+      _id: req.params.teamId,
       $or: [{ leader: req.user._id }, { members: req.user._id }],
     });
 
-    if (existingTeam) {
+    if (!team) {
       return res
-        .status(400)
-        .json({ message: "You are already registered in a team" });
+        .status(404)
+        .json({ message: "Team not found or you are not authorized" });
     }
 
-    // Validate team size
-    const memberCount = members ? members.length : 0;
-    if (teamSize === "Solo" && memberCount > 0) {
+    if (action !== "leave" && !team.leader.equals(req.user._id)) {
       return res
-        .status(400)
-        .json({ message: "Solo teams cannot have additional members" });
+        .status(403)
+        .json({ message: "Only the team leader can perform this action" });
     }
-    if (teamSize === "Duo" && memberCount !== 1) {
-      return res
-        .status(400)
-        .json({ message: "Duo teams must have exactly 1 additional member" });
+
+    const event = await getEventForTeam(team);
+    if (event.isRegistrationLocked()) {
+      if (event.lockedTeamChangePolicy !== "approval") {
+        return res.status(403).json({
+          message: "Team changes are locked after the registration deadline",
+        });
+      }
+
+      const changeRequest = new TeamChangeRequest({
+        team: team._id,
+        requestedBy: req.user._id,
+        action,
+        payload,
+      });
+      await changeRequest.save();
+
+      await recordAudit(req, {
+        action: "team-change-request.create",
+        targetType: "TeamChangeRequest",
+        targetId: changeRequest._id,
+        metadata: { team: team._id, action, payload },
+      });
+
+      return res.status(202).json({
+        message:
+          "Registration is locked. Your change has been submitted for admin approval",
+        changeRequest,
+      });
     }
-    if (teamSize === "Team" && (memberCount < 2 || memberCount > 4)) {
-      return res
-        .status(400)
-        .json({ message: "Teams must have 2-4 additional members" });
+
+    const before = toAuditSnapshot(team);
+    const result = await applyTeamChange(team, action, payload, req.user._id);
+
+    await recordAudit(req, {
+      action: `team.${action}`,
+      targetType: "Team",
+      targetId: team._id,
+      before,
+      after: result.team,
+    });
+
+    const updatedTeam = result.team
+      ? await Team.findById(result.team._id)
+          .populate("leader", "name email registrationNumber")
+          .populate("members", "name email registrationNumber")
+          .populate("problemStatement", "title track sponsor")
+      : null;
+
+    // Members leaving can leave a minimum eligibility rule unmet, so report every rule
+    res.json({
+      message: result.message,
+      team: updatedTeam,
+      eligibility: updatedTeam
+        ? await getTeamEligibility(updatedTeam, event)
+        : null,
+    });
+  } catch (error) {
+    console.error(`Team ${action} error:`, error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        message: error.message,
+        code: error.code,
+        errors: error.errors,
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "Team name already exists" });
     }
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// @route   POST /api/teams/register
+// @desc    Register a team (members are invited and must accept before joining);
+//          refused when the leader and invitees break an eligibility rule and
+//          waitlisted when the event's team or participant caps are reached
+// @access  Private
+router.post(
+  "/register",
+  authMiddleware,
+  requireVerifiedEmail,
+  validateRequest(registerSchema),
+  async (req, res) => {
+    try {
+      const { teamName, members, problemStatement, teamSize } = req.body;
+      const { event } = req;
+
+      assertRegistrationOpen(event);
 
-    // Verify all members exist and are not already in teams
-    let memberUserIds = [];
-    if (members && members.length > 0) {
-      // Find users by email and registrationNumber
-      const memberUsers = await User.find({
-        $or: members.map((member) => ({
-          email: member.email,
-          registrationNumber: member.registrationNumber,
-        })),
+      // Check if team name already exists
+      const existingTeamName = await Team.findOne({
+        event: event._id,
+        teamName,
       });
+      if (existingTeamName) {
+        return res.status(400).json({
+          message: "Team name already exists. Please choose a different name.",
+        });
+      }
+
+      // Check if user is already in a team
+      const existingTeam = await findTeamForUser(req.user._id, event._id);
 
-      if (memberUsers.length !== members.length) {
+      if (existingTeam) {
         return res
           .status(400)
-          .json({
+          .json({ message: "You are already registered in a team" });
+      }
+
+      // Validate team size (members can be invited later, so only the maximum applies here)
+      const limits = getMemberLimits(teamSize);
+      if (!limits || !event.allowsTeamSize(teamSize)) {
+        return res.status(400).json({
+          message: `Team size must be one of: ${event.teamSizes.join(", ")}`,
+        });
+      }
+
+      const memberCount = members ? members.length : 0;
+      if (memberCount > limits.max) {
+        return res.status(400).json({ message: describeTeamSize(teamSize) });
+      }
+
+      // Problem statement must be active and have remaining capacity
+      const statement = await assertProblemStatementAvailable(
+        problemStatement,
+        event._id
+      );
+
+      // Verify all invited members exist and are not already in teams
+      let memberUserIds = [];
+      if (members && members.length > 0) {
+        // Find users by email and registrationNumber
+        const memberUsers = await User.find({
+          $or: members.map((member) => ({
+            email: member.email,
+            registrationNumber: member.registrationNumber,
+          })),
+        });
+
+        if (memberUsers.length !== members.length) {
+          return res.status(400).json({
             message:
               "One or more members not found. Please ensure all members are registered on the platform.",
           });
+        }
+
+        memberUserIds = memberUsers.map((user) => user._id);
+
+        if (memberUserIds.some((id) => id.equals(req.user._id))) {
+          return res
+            .status(400)
+            .json({ message: "You cannot invite yourself to your own team" });
+        }
+
+        // Check if any member is already in a team
+        const membersInTeams = await Team.find({
+          event: event._id,
+          $or: [
+            { leader: { $in: memberUserIds } },
+            { members: { $in: memberUserIds } },
+          ],
+        });
+
+        if (membersInTeams.length > 0) {
+          return res
+            .status(400)
+            .json({ message: "One or more members are already in a team" });
+        }
       }
 
-      // Extract user IDs for team creation
-      memberUserIds = memberUsers.map((user) => user._id);
+      // The leader and invited members must fit the event's eligibility rules
+      // (minimums only need to stay reachable with the remaining slots)
+      const eligibility = assertEligible(
+        event,
+        event.eligibilityRules.length > 0
+          ? await loadProfiles([req.user._id, ...memberUserIds])
+          : [],
+        { openSlots: limits.max - memberCount }
+      );
 
-      // Check if any member is already in a team
-      const membersInTeams = await Team.find({
-        $or: [
-          { leader: { $in: memberUserIds } },
-          { members: { $in: memberUserIds } },
-        ],
-      });
+      // Membership, registration number, team and invitations are written together, so a
+      // concurrent registration can neither put the leader in two teams nor reuse a number,
+      // and a failed invitation leaves no half-registered team behind
+      let team;
+      const invitations = [];
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          invitations.length = 0;
+          // Create team with only the leader; members join by accepting invitations
+          team = new Team({
+            event: event._id,
+            teamName,
+            leader: req.user._id,
+            members: [],
+            problemStatement: statement._id,
+            teamSize,
+          });
+          await claimMembership(req.user._id, team, "leader", {
+            session,
+            message: "You are already registered in a team",
+          });
+          team.registrationNumber = await nextTeamRegistrationNumber({
+            prefix: event.teamNumberPrefix,
+            session,
+          });
+          // Waitlist the team (or refuse it) when the event is full
+          await placeNewTeam(team, event, req.user, { session });
+          await team.save({ session });
 
-      if (membersInTeams.length > 0) {
-        return res
-          .status(400)
-          .json({ message: "One or more members are already in a team" });
+          for (const userId of memberUserIds) {
+            invitations.push(
+              await createInvitation(team, userId, req.user._id, "invite", {
+                session,
+              })
+            );
+          }
+        });
+      } finally {
+        await session.endSession();
       }
-    }
 
-    // Generate unique registration number
-    const teamCount = await Team.countDocuments();
-    const registrationNumber = `TEAM${String(teamCount + 1).padStart(4, "0")}`;
+      await recordAudit(req, {
+        action: "team.register",
+        targetType: "Team",
+        targetId: team._id,
+        after: team,
+        metadata: { invited: memberUserIds },
+      });
 
-    // Create team
-    const team = new Team({
-      teamName,
-      leader: req.user._id,
-      members: memberUserIds,
-      problemStatement,
-      teamSize,
-      registrationNumber,
-    });
+      // Populate team data for response
+      const populatedTeam = await Team.findById(team._id)
+        .populate("leader", "name email registrationNumber")
+        .populate("members", "name email registrationNumber")
+        .populate("problemStatement", "title track sponsor");
 
-    await team.save();
+      const waitlistPosition = await getWaitlistPosition(team);
 
-    // Populate team data for response
-    const populatedTeam = await Team.findById(team._id)
-      .populate("leader", "name email registrationNumber")
-      .populate("members", "name email registrationNumber");
+      res.status(201).json({
+        message: team.waitlisted
+          ? `The event is full. Your team has been added to the waitlist at position ${waitlistPosition}`
+          : "Team registered successfully",
+        team: populatedTeam,
+        invitations,
+        waitlistPosition,
+        eligibility,
+      });
+    } catch (error) {
+      console.error("Team registration error:", error);
 
-    res.status(201).json({
-      message: "Team registered successfully",
-      team: populatedTeam,
-    });
-  } catch (error) {
-    console.error("Team registration error:", error);
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({
+          message: error.message,
+          code: error.code,
+          errors: error.errors,
+        });
+      }
 
-    // Handle specific MongoDB errors
-    if (error.name === "ValidationError") {
-      const errors = Object.values(error.errors).map((err) => err.message);
-      return res.status(400).json({ message: "Validation error", errors });
-    }
+      // Handle specific MongoDB errors
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          message: "Validation error",
+          code: "VALIDATION_ERROR",
+          errors: fromMongooseError(error),
+        });
+      }
 
-    if (error.code === 11000) {
-      return res.status(400).json({ message: "Team name already exists" });
-    }
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "Team name already exists" });
+      }
 
-    res.status(500).json({ message: "Server error during team registration" });
+      res
+        .status(500)
+        .json({ message: "Server error during team registration" });
+    }
   }
-});
+);
 
 // @route   GET /api/teams
 // @desc    Get all teams
 // @access  Public
 router.get("/", async (req, res) => {
   try {
-    const teams = await Team.find({ status: "approved" })
+    const teams = await Team.find({ event: req.event._id, status: "approved" })
+      .select(PRIVATE_TEAM_FIELDS)
       .populate("leader", "name email registrationNumber")
       .populate("members", "name email registrationNumber")
+      .populate("problemStatement", "title track sponsor")
       .sort({ createdAt: -1 });
 
     res.json({ teams });
@@ -172,21 +460,37 @@ router.get("/", async (req, res) => {
 });
 
 // @route   GET /api/teams/my-team
-// @desc    Get current user's team
+// @desc    Get current user's team (with its waitlist position while waitlisted
+//          and the status of each eligibility rule)
 // @access  Private
 router.get("/my-team", authMiddleware, async (req, res) => {
   try {
-    const team = await Team.findOne({
-      $or: [{ leader: req.user._id }, { members: req.user._id }],
-    })
+    const team = await findTeamForUser(req.user._id, req.event._id)
       .populate("leader", "name email registrationNumber")
-      .populate("members", "name email registrationNumber");
+      .populate("members", "name email registrationNumber")
+      .populate("problemStatement", "title track sponsor");
 
     if (!team) {
       return res.status(404).json({ message: "No team found" });
     }
 
-    res.json({ team });
+    // Pending invitations and join requests for the team
+    await Invitation.expireStale({ team: team._id });
+    const invitations = await Invitation.find({
+      team: team._id,
+      status: "pending",
+    })
+      .populate("user", "name email registrationNumber")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      team,
+      invitations,
+      openSlots: getOpenSlots(team.teamSize, team.members.length),
+      paymentProofAttemptsLeft: getPaymentProofAttemptsLeft(team, req.event),
+      waitlistPosition: await getWaitlistPosition(team),
+      eligibility: await getTeamEligibility(team, req.event),
+    });
   } catch (error) {
     console.error("Get my team error:", error);
     res.status(500).json({ message: "Server error" });
@@ -194,33 +498,73 @@ router.get("/my-team", authMiddleware, async (req, res) => {
 });
 
 // @route   GET /api/teams/problem-statements
-// @desc    Get available problem statements
+// @desc    Get active problem statements with remaining team slots
 // @access  Public
-router.get("/problem-statements", (req, res) => {
-  const problemStatements = [
-    "AI-Powered Learning Management System",
-    "Smart Campus Navigation App",
-    "Sustainable Energy Monitoring Platform",
-    "Mental Health Support Chatbot",
-    "Blockchain-based Certificate Verification",
-    "IoT-based Smart Agriculture Solution",
-    "AR/VR Educational Content Platform",
-    "Cybersecurity Threat Detection System",
-    "Social Impact Measurement Tool",
-    "Digital Healthcare Management System",
-    
-  ];
-
-  res.json({ problemStatements });
+router.get("/problem-statements", async (req, res) => {
+  try {
+    const filter = { event: req.event._id, isActive: true };
+    if (req.query.track) filter.track = req.query.track;
+
+    const statements = await ProblemStatement.find(filter).sort({
+      track: 1,
+      title: 1,
+    });
+    const teamCounts = await countTeamsByProblemStatement(
+      statements.map((statement) => statement._id)
+    );
+
+    const problemStatements = statements.map((statement) => {
+      const teamCount = teamCounts.get(String(statement._id)) || 0;
+      const remainingSlots = getRemainingSlots(statement, teamCount);
+      return {
+        id: statement._id,
+        title: statement.title,
+        description: statement.description,
+        track: statement.track,
+        sponsor: statement.sponsor,
+        maxTeams: statement.maxTeams,
+        teamCount,
+        remainingSlots,
+        isFull: remainingSlots === 0,
+      };
+    });
+
+    res.json({ problemStatements });
+  } catch (error) {
+    console.error("Get problem statements error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @route   GET /api/teams/leaderboard
+// @desc    Get the published leaderboard overall or for one track
+// @access  Public
+router.get("/leaderboard", async (req, res) => {
+  try {
+    if (!req.event.leaderboardPublished) {
+      return res
+        .status(404)
+        .json({ message: "The leaderboard has not been published yet" });
+    }
+
+    const leaderboard = await buildLeaderboard(req.query.track, req.event._id);
+
+    res.json({ track: req.query.track || null, leaderboard });
+  } catch (error) {
+    console.error("Get leaderboard error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
 });
 
 // @route   POST /api/teams/upload-payment
-// @desc    Upload payment screenshot for a team (compressed and uploaded to Cloudinary)
+// @desc    Upload payment screenshot (compressed) or PDF receipt for a team to storage.
+//          Manual fallback to the payment gateway in /api/payments; verified by admins.
 // @access  Private
 router.post(
   "/upload-payment",
   authMiddleware,
-  upload.single("paymentScreenshot"),
+  handleUpload(upload.single("paymentScreenshot")),
+  validateRequest({ body: teamParamsSchema }),
   async (req, res) => {
     try {
       const { teamId } = req.body;
@@ -241,13 +585,33 @@ router.post(
           .json({ message: "Team not found or you are not authorized" });
       }
 
-      // Delete old payment screenshot from Cloudinary if exists
-      if (team.paymentScreenshotCloudinaryId) {
-        await deleteImageFromCloudinary(team.paymentScreenshotCloudinaryId);
+      if (team.paymentStatus === "verified") {
+        return res
+          .status(400)
+          .json({ message: "Payment has already been verified for this team" });
       }
 
-      // Compress and upload to Cloudinary
-      const uploadResult = await compressAndUploadImage(req.file, teamId);
+      // Previous proofs are kept as evidence, so uploads are capped
+      const event = await getEventForTeam(team);
+      const attemptsLeft = getPaymentProofAttemptsLeft(team, event);
+      if (attemptsLeft === 0) {
+        return res.status(400).json({
+          message:
+            "Maximum number of payment proof uploads reached. Please contact the organizers.",
+        });
+      }
+
+      // Check the real content before any processing
+      const fileType = assertFileType(req.file, PAYMENT_PROOF_MIME_TYPES);
+      if (fileType.type === "image") {
+        await assertImageWithinLimits(req.file.buffer);
+      }
+
+      // Compress images, keep PDF receipts as they are
+      const uploadResult =
+        fileType.type === "pdf"
+          ? await uploadPdfReceipt(req.file, teamId)
+          : await compressAndUploadImage(req.file, teamId);
 
       if (!uploadResult.success) {
         return res
@@ -256,23 +620,62 @@ router.post(
       }
 
       // Update team with new payment screenshot details
+      const before = toAuditSnapshot(team);
+      team.paymentProofs.forEach((proof) => {
+        if (proof.decision === "pending") proof.decision = "superseded";
+      });
+      team.paymentProofs.push({
+        url: uploadResult.url,
+        publicId: uploadResult.publicId,
+        access: uploadResult.access,
+        fileType: uploadResult.fileType,
+        hash: uploadResult.hash,
+        uploadedBy: req.user._id,
+      });
+
+      // Flag proofs that match screenshots uploaded by other teams (admin-only signal)
+      const duplicates = uploadResult.hash
+        ? await findDuplicateProofs(uploadResult.hash, team._id)
+        : [];
+      await flagDuplicateProofs(team, duplicates);
+
       team.paymentScreenshot = uploadResult.url;
-      team.paymentScreenshotCloudinaryId = uploadResult.cloudinaryId;
+      team.paymentScreenshotCloudinaryId = uploadResult.publicId;
       team.paymentStatus = "pending";
+      team.paymentStatusReason = null;
       await team.save();
 
+      await recordAudit(req, {
+        action: "team.payment-proof.upload",
+        targetType: "Team",
+        targetId: team._id,
+        before,
+        after: team,
+        metadata: duplicates.length
+          ? { duplicateMatches: duplicates.length }
+          : null,
+      });
+
       res.json({
         message: "Payment screenshot uploaded and compressed successfully",
-        paymentScreenshot: team.paymentScreenshot,
+        proofId: team.paymentProofs[team.paymentProofs.length - 1]._id,
         paymentStatus: team.paymentStatus,
-        compressionInfo: {
-          originalSize: uploadResult.originalSize,
-          compressedSize: uploadResult.compressedSize,
-          compressionRatio: uploadResult.compressionRatio + "%",
-        },
+        paymentProofAttemptsLeft: getPaymentProofAttemptsLeft(team, event),
+        fileType: uploadResult.fileType,
+        compressionInfo:
+          uploadResult.fileType === "image"
+            ? {
+                originalSize: uploadResult.originalSize,
+                compressedSize: uploadResult.compressedSize,
+                compressionRatio: uploadResult.compressionRatio + "%",
+              }
+            : undefined,
       });
     } catch (error) {
       console.error("Payment upload error:", error);
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       res.status(500).json({
         message: "Server error during payment upload",
         error:
@@ -282,4 +685,457 @@ router.post(
   }
 );
 
+// @route   GET /api/teams/my-team/payment-proofs/:proofId/url
+// @desc    Get a short-lived signed URL for one of the team's payment proofs ("latest" for the newest)
+// @access  Private
+router.get(
+  "/my-team/payment-proofs/:proofId/url",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const team = await findTeamForUser(req.user._id, req.event._id);
+      if (!team) {
+        return res.status(404).json({ message: "No team found" });
+      }
+
+      const proof = findPaymentProof(team, req.params.proofId);
+      if (!proof) {
+        return res.status(404).json({ message: "Payment proof not found" });
+      }
+
+      res.json(createPaymentProofUrl(proof));
+    } catch (error) {
+      console.error("Get payment proof URL error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @route   GET /api/teams/invitations
+// @desc    Get invitations received and join requests sent by the current user
+// @access  Private
+router.get("/invitations", authMiddleware, async (req, res) => {
+  try {
+    await Invitation.expireStale({ user: req.user._id });
+
+    const invitations = await Invitation.find({
+      user: req.user._id,
+      status: "pending",
+    })
+      .populate({
+        path: "team",
+        select: "teamName teamSize registrationNumber leader problemStatement",
+        populate: { path: "leader", select: "name email registrationNumber" },
+      })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      invitations: invitations.filter((inv) => inv.type === "invite"),
+      joinRequests: invitations.filter((inv) => inv.type === "request"),
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// @route   POST /api/teams/join
+// @desc    Request to join a team using its invite code
+// @access  Private
+router.post(
+  "/join",
+  authMiddleware,
+  requireVerifiedEmail,
+  validateRequest({
+    body: { inviteCode: { type: "string", maxLength: 32, required: true } },
+  }),
+  async (req, res) => {
+    try {
+      const { inviteCode } = req.body;
+
+      const team = await Team.findOne({ inviteCode: inviteCode.toUpperCase() });
+      if (!team) {
+        return res.status(404).json({ message: "Invalid invite code" });
+      }
+
+      await assertCanJoinTeam(team, req.user._id);
+      const joinRequest = await createInvitation(
+        team,
+        req.user._id,
+        req.user._id,
+        "request"
+      );
+
+      await recordAudit(req, {
+        action: "invitation.request",
+        targetType: "Invitation",
+        targetId: joinRequest._id,
+        metadata: { team: team._id },
+      });
+
+      res.status(201).json({
+        message: "Join request sent to the team leader",
+        joinRequest,
+      });
+    } catch (error) {
+      console.error("Join team error:", error);
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({
+          message: error.message,
+          code: error.code,
+          errors: error.errors,
+        });
+      }
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @route   POST /api/teams/invitations/:invitationId/accept
+// @desc    Accept an invitation (invitee) or a join request (team leader)
+// @access  Private
+router.post(
+  "/invitations/:invitationId/accept",
+  authMiddleware,
+  requireVerifiedEmail,
+  validateRequest({ params: invitationParamsSchema }),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findById(
+        req.params.invitationId
+      ).populate("team", "leader");
+
+      if (!invitation || !invitation.team) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      // Invites are answered by the invitee, join requests by the leader
+      const responder =
+        invitation.type === "invite" ? invitation.user : invitation.team.leader;
+      if (!responder.equals(req.user._id)) {
+        return res.status(403).json({
+          message: "You are not authorized to accept this invitation",
+        });
+      }
+
+      invitation.team = invitation.team._id;
+      const team = await acceptInvitation(invitation);
+
+      await recordAudit(req, {
+        action: "invitation.accept",
+        targetType: "Invitation",
+        targetId: invitation._id,
+        metadata: { team: team._id, user: invitation.user },
+      });
+
+      const populatedTeam = await Team.findById(team._id)
+        .populate("leader", "name email registrationNumber")
+        .populate("members", "name email registrationNumber")
+        .populate("problemStatement", "title track sponsor");
+
+      res.json({
+        message:
+          invitation.type === "invite"
+            ? "Invitation accepted. You have joined the team"
+            : "Join request accepted",
+        team: populatedTeam,
+        eligibility: await getTeamEligibility(
+          populatedTeam,
+          await getEventForTeam(populatedTeam)
+        ),
+      });
+    } catch (error) {
+      console.error("Accept invitation error:", error);
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({
+          message: error.message,
+          code: error.code,
+          errors: error.errors,
+        });
+      }
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @route   POST /api/teams/invitations/:invitationId/decline
+// @desc    Decline an invitation (invitee) or a join request (team leader)
+// @access  Private
+router.post(
+  "/invitations/:invitationId/decline",
+  authMiddleware,
+  validateRequest({ params: invitationParamsSchema }),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findById(
+        req.params.invitationId
+      ).populate("team", "leader");
+
+      if (!invitation || !invitation.team) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      const responder =
+        invitation.type === "invite" ? invitation.user : invitation.team.leader;
+      if (!responder.equals(req.user._id)) {
+        return res.status(403).json({
+          message: "You are not authorized to decline this invitation",
+        });
+      }
+
+      if (invitation.status !== "pending") {
+        return res
+          .status(400)
+          .json({ message: `Invitation is already ${invitation.status}` });
+      }
+
+      invitation.status = "declined";
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      await recordAudit(req, {
+        action: "invitation.decline",
+        targetType: "Invitation",
+        targetId: invitation._id,
+        metadata: { team: invitation.team._id, user: invitation.user },
+      });
+
+      res.json({ message: "Invitation declined" });
+    } catch (error) {
+      console.error("Decline invitation error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @route   DELETE /api/teams/invitations/:invitationId
+// @desc    Revoke an invitation (team leader) or withdraw a join request (requester)
+// @access  Private
+router.delete(
+  "/invitations/:invitationId",
+  authMiddleware,
+  validateRequest({ params: invitationParamsSchema }),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findById(
+        req.params.invitationId
+      ).populate("team", "leader");
+
+      if (!invitation || !invitation.team) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      const owner =
+        invitation.type === "invite" ? invitation.team.leader : invitation.user;
+      if (!owner.equals(req.user._id)) {
+        return res.status(403).json({
+          message: "You are not authorized to revoke this invitation",
+        });
+      }
+
+      if (invitation.status !== "pending") {
+        return res
+          .status(400)
+          .json({ message: `Invitation is already ${invitation.status}` });
+      }
+
+      invitation.status = "revoked";
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      await recordAudit(req, {
+        action: "invitation.revoke",
+        targetType: "Invitation",
+        targetId: invitation._id,
+        metadata: { team: invitation.team._id, user: invitation.user },
+      });
+
+      res.json({ message: "Invitation revoked" });
+    } catch (error) {
+      console.error("Revoke invitation error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @route   POST /api/teams/:teamId/invitations
+// @desc    Invite a registered user to the team by email or registration number
+// @access  Private (Team leader only)
+router.post(
+  "/:teamId/invitations",
+  authMiddleware,
+  requireVerifiedEmail,
+  validateRequest({
+    params: teamParamsSchema,
+    body: { email: rules.email, registrationNumber: rules.registrationNumber },
+  }),
+  async (req, res) => {
+    try {
+      const { email, registrationNumber } = req.body;
+
+      if (!email && !registrationNumber) {
+        return res
+          .status(400)
+          .json({ message: "Email or registration number is required" });
+      }
+
+      const team = await Team.findOne({
+        _id: req.params.teamId,
+        leader: req.user._id,
+      });
+      if (!team) {
+        return res
+          .status(404)
+          .json({ message: "Team not found or you are not the team leader" });
+      }
+
+      const query = {};
+      if (email) query.email = email;
+      if (registrationNumber) query.registrationNumber = registrationNumber;
+
+      const invitee = await User.findOne(query);
+      if (!invitee) {
+        return res.status(404).json({
+          message:
+            "User not found. Please ensure the member is registered on the platform.",
+        });
+      }
+
+      await assertCanJoinTeam(team, invitee._id);
+      const invitation = await createInvitation(
+        team,
+        invitee._id,
+        req.user._id
+      );
+
+      await recordAudit(req, {
+        action: "invitation.create",
+        targetType: "Invitation",
+        targetId: invitation._id,
+        metadata: { team: team._id, user: invitee._id },
+      });
+
+      res.status(201).json({ message: "Invitation sent", invitation });
+    } catch (error) {
+      console.error("Send invitation error:", error);
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({
+          message: error.message,
+          code: error.code,
+          errors: error.errors,
+        });
+      }
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @route   POST /api/teams/:teamId/invite-code
+// @desc    Regenerate the team's invite code (invalidates the old one)
+// @access  Private (Team leader only)
+router.post(
+  "/:teamId/invite-code",
+  authMiddleware,
+  validateRequest({ params: teamParamsSchema }),
+  async (req, res) => {
+    try {
+      const team = await Team.findOne({
+        _id: req.params.teamId,
+        leader: req.user._id,
+      });
+      if (!team) {
+        return res
+          .status(404)
+          .json({ message: "Team not found or you are not the team leader" });
+      }
+
+      team.inviteCode = Team.generateInviteCode();
+      await team.save();
+
+      await recordAudit(req, {
+        action: "team.invite-code.regenerate",
+        targetType: "Team",
+        targetId: team._id,
+      });
+
+      res.json({
+        message: "Invite code regenerated",
+        inviteCode: team.inviteCode,
+      });
+    } catch (error) {
+      console.error("Regenerate invite code error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// @route   PUT /api/teams/:teamId
+// @desc    Edit team name, problem statement or team size
+// @access  Private (Team leader only)
+router.put(
+  "/:teamId",
+  authMiddleware,
+  validateRequest(updateTeamSchema),
+  (req, res) => {
+    const { teamName, problemStatement, teamSize } = req.body;
+    return submitTeamChange(req, res, "update", {
+      teamName,
+      problemStatement,
+      teamSize,
+    });
+  }
+);
+
+// @route   POST /api/teams/:teamId/leave
+// @desc    Leave a team as a member
+// @access  Private (Team members only)
+router.post(
+  "/:teamId/leave",
+  authMiddleware,
+  validateRequest({ params: teamParamsSchema }),
+  (req, res) => submitTeamChange(req, res, "leave", {})
+);
+
+// @route   POST /api/teams/:teamId/transfer-leadership
+// @desc    Hand team leadership to an existing member
+// @access  Private (Team leader only)
+router.post(
+  "/:teamId/transfer-leadership",
+  authMiddleware,
+  validateRequest({
+    params: teamParamsSchema,
+    body: { newLeaderId: { ...rules.objectId, required: true } },
+  }),
+  (req, res) =>
+    submitTeamChange(req, res, "transfer-leadership", {
+      newLeaderId: req.body.newLeaderId,
+    })
+);
+
+// @route   DELETE /api/teams/:teamId/members/:userId
+// @desc    Remove a member from the team
+// @access  Private (Team leader only)
+router.delete(
+  "/:teamId/members/:userId",
+  authMiddleware,
+  validateRequest({
+    params: {
+      ...teamParamsSchema,
+      userId: { ...rules.objectId, required: true },
+    },
+  }),
+  (req, res) =>
+    submitTeamChange(req, res, "remove-member", { userId: req.params.userId })
+);
+
+// @route   DELETE /api/teams/:teamId
+// @desc    Disband the team
+// @access  Private (Team leader only)
+router.delete(
+  "/:teamId",
+  authMiddleware,
+  validateRequest({ params: teamParamsSchema }),
+  (req, res) => submitTeamChange(req, res, "disband", {})
+);
+
 module.exports = router;
@@ -1,10 +1,37 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Event = require('../models/Event');
 const authMiddleware = require('../middleware/authMiddleware');
+const validateRequest = require('../middleware/validate');
+const HttpError = require('../utils/httpError');
+const { rules } = require('../utils/validation');
+const { getCurrentEvent } = require('../utils/events');
+const { findTeamForUser } = require('../utils/teamMembership');
+const { getTeamEligibility, recheckTeamEligibility } = require('../utils/eligibility');
+const { issueAccessToken, revokeAllSessions } = require('../utils/sessions');
+const { toAuditSnapshot, recordAudit } = require('../utils/auditLog');
 
 const router = express.Router();
 
+const profileSchema = {
+  body: {
+    name: rules.name,
+    phone: rules.phone,
+    university: rules.name,
+    course: rules.name,
+    year: { type: 'string', maxLength: 20 },
+    gender: { type: 'string', enum: User.GENDERS, nullable: true }
+  }
+};
+
+const changePasswordSchema = {
+  body: {
+    currentPassword: { type: 'string', trim: false, required: true },
+    newPassword: { ...rules.password, required: true }
+  }
+};
+
 // @route   GET /api/users/profile
 // @desc    Get user profile
 // @access  Private
@@ -19,7 +46,9 @@ router.get('/profile', authMiddleware, async (req, res) => {
         phone: req.user.phone,
         university: req.user.university,
         course: req.user.course,
-        year: req.user.year
+        year: req.user.year,
+        gender: req.user.gender,
+        emailVerified: req.user.emailVerified
       }
     });
   } catch (error) {
@@ -28,12 +57,29 @@ router.get('/profile', authMiddleware, async (req, res) => {
   }
 });
 
+// Check the user's team in the current event against the profile changes before they are saved
+const recheckTeamForProfile = async (user, updateData) => {
+  const changed = Event.ELIGIBILITY_FIELDS.some((field) => updateData[field] !== undefined
+    && String(updateData[field] || '') !== String(user[field] || ''));
+  if (!changed) return null;
+
+  const event = await getCurrentEvent();
+  const team = event.eligibilityRules.length > 0 ? await findTeamForUser(user._id, event._id) : null;
+  if (!team) return null;
+
+  const before = toAuditSnapshot(team);
+  const previous = await getTeamEligibility(team, event);
+  await recheckTeamEligibility(team, event, previous, { profile: { _id: user._id, ...updateData } });
+  return { team, before };
+};
+
 // @route   PUT /api/users/profile
-// @desc    Update user profile
+// @desc    Update user profile (refused when it would break the eligibility rules of the user's
+//          team; an approved team that no longer meets a rule goes back to pending)
 // @access  Private
-router.put('/profile', authMiddleware, async (req, res) => {
+router.put('/profile', authMiddleware, validateRequest(profileSchema), async (req, res) => {
   try {
-    const { name, phone, university, course, year } = req.body;
+    const { name, phone, university, course, year, gender } = req.body;
     
     const updateData = {};
     if (name) updateData.name = name;
@@ -41,6 +87,10 @@ router.put('/profile', authMiddleware, async (req, res) => {
     if (university) updateData.university = university;
     if (course) updateData.course = course;
     if (year) updateData.year = year;
+    // null clears the gender, it is optional ('' is left unvalidated as a missing value, so ignore it)
+    if (gender !== undefined && gender !== '') updateData.gender = gender;
+
+    const teamChange = await recheckTeamForProfile(req.user, updateData);
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -48,8 +98,31 @@ router.put('/profile', authMiddleware, async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password');
 
+    await recordAudit(req, {
+      action: 'user.profile.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: toAuditSnapshot(req.user),
+      after: user
+    });
+
+    const backToReview = teamChange && teamChange.team.isModified('status');
+    if (backToReview) {
+      await teamChange.team.save();
+      await recordAudit(req, {
+        action: 'team.status.update',
+        targetType: 'Team',
+        targetId: teamChange.team._id,
+        before: teamChange.before,
+        after: teamChange.team,
+        metadata: { reason: 'profile-update' }
+      });
+    }
+
     res.json({
-      message: 'Profile updated successfully',
+      message: backToReview
+        ? 'Profile updated successfully. Your team no longer meets the eligibility rules and is back under review'
+        : 'Profile updated successfully',
       user: {
         id: user._id,
         registrationNumber: user.registrationNumber,
@@ -58,11 +131,19 @@ router.put('/profile', authMiddleware, async (req, res) => {
         phone: user.phone,
         university: user.university,
         course: user.course,
-        year: user.year
+        year: user.year,
+        gender: user.gender
       }
     });
   } catch (error) {
     console.error('Update profile error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        message: error.message,
+        code: error.code,
+        errors: error.errors
+      });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -70,18 +151,10 @@ router.put('/profile', authMiddleware, async (req, res) => {
 // @route   PUT /api/users/change-password
 // @desc    Change user password
 // @access  Private
-router.put('/change-password', authMiddleware, async (req, res) => {
+router.put('/change-password', authMiddleware, validateRequest(changePasswordSchema), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ message: 'Current password and new password are required' });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({ message: 'New password must be at least 6 characters long' });
-    }
-
     const user = await User.findById(req.user._id);
     
     // Verify current password
@@ -90,11 +163,17 @@ router.put('/change-password', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
-    // Update password
+    // Update password and invalidate every previously issued access token
     user.password = newPassword;
+    user.tokenVersion += 1;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out other devices; this session continues with a fresh access token
+    await revokeAllSessions('User', user._id, 'password-change', req.sessionId);
+    await recordAudit(req, { action: 'user.password.change', targetType: 'User', targetId: user._id });
+    const token = issueAccessToken(user, 'User', { _id: req.sessionId });
+
+    res.json({ message: 'Password changed successfully', token });
   } catch (error) {
     console.error('Change password error:', error);
     res.status(500).json({ message: 'Server error' });
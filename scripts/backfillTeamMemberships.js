@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const TeamMembership = require('../models/TeamMembership');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Create TeamMembership rows for teams registered before memberships were tracked
+const backfillTeamMemberships = async () => {
+  try {
+    await TeamMembership.syncIndexes();
+
+    let created = 0;
+    const conflicts = [];
+    const teams = Team.find().select('event teamName leader members').lean().cursor();
+
+    for await (const team of teams) {
+      const entries = [
+        { user: team.leader, role: 'leader' },
+        ...team.members.map((user) => ({ user, role: 'member' }))
+      ];
+
+      for (const { user, role } of entries) {
+        const existing = await TeamMembership.findOne({ event: team.event, user });
+        if (!existing) {
+          await TeamMembership.create({ event: team.event, user, team: team._id, role });
+          created += 1;
+        } else if (!existing.team.equals(team._id)) {
+          conflicts.push({ user, team: team.teamName });
+        }
+      }
+    }
+
+    console.log(`Created ${created} team membership(s)`);
+    conflicts.forEach(({ user, team }) => {
+      console.log(`User ${user} is also in team "${team}"; resolve manually`);
+    });
+    console.log('Team membership backfill completed');
+  } catch (error) {
+    console.error('Error backfilling team memberships:', error);
+  }
+};
+
+// Main function
+const main = async () => {
+  await connectDB();
+  await backfillTeamMemberships();
+  process.exit(0);
+};
+
+main();
@@ -16,13 +16,23 @@ const connectDB = async () => {
   }
 };
 
-// Create default admin user
+// Create default admin user (bootstrapped as super-admin)
 const createDefaultAdmin = async () => {
   try {
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({ username: 'admin' });
     
     if (existingAdmin) {
+      // Promote the default admin when no super-admin exists yet
+      const superAdminCount = await Admin.countDocuments({ role: 'super-admin', isActive: true });
+      if (superAdminCount === 0) {
+        existingAdmin.role = 'super-admin';
+        existingAdmin.isActive = true;
+        await existingAdmin.save();
+        console.log('Default admin user promoted to super-admin');
+        return;
+      }
+
       console.log('Default admin user already exists');
       return;
     }
@@ -31,7 +41,7 @@ const createDefaultAdmin = async () => {
     const admin = new Admin({
       username: 'admin',
       password: 'admin123', // Default password
-      role: 'admin'
+      role: 'super-admin'
     });
 
     await admin.save();
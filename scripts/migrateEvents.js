@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const ProblemStatement = require('../models/ProblemStatement');
+const TeamMembership = require('../models/TeamMembership');
+const Payment = require('../models/Payment');
+const Rubric = require('../models/Rubric');
+const Judge = require('../models/Judge');
+const { getCurrentEvent } = require('../utils/events');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Move a single-hackathon database to events: records without an event join the default event,
+// and the old globally unique team name / problem statement title indexes become per-event
+const migrateEvents = async () => {
+  try {
+    const event = await getCurrentEvent();
+    console.log(`Current event: ${event.name} (${event.slug})`);
+
+    for (const Model of [Team, ProblemStatement, TeamMembership, Payment, Rubric, Judge]) {
+      const result = await Model.updateMany({ event: null }, { event: event._id });
+      if (result.modifiedCount > 0) {
+        console.log(`Attached ${result.modifiedCount} ${Model.modelName} record(s) to ${event.slug}`);
+      }
+      const dropped = await Model.syncIndexes();
+      if (dropped.length > 0) {
+        console.log(`Dropped ${Model.modelName} index(es): ${dropped.join(', ')}`);
+      }
+    }
+
+    console.log('Event migration completed');
+  } catch (error) {
+    console.error('Error migrating to events:', error);
+  }
+};
+
+// Main function
+const main = async () => {
+  await connectDB();
+  await migrateEvents();
+  process.exit(0);
+};
+
+main();
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const ProblemStatement = require('../models/ProblemStatement');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Convert free-text Team.problemStatement values into ProblemStatement references
+const migrateProblemStatements = async () => {
+  try {
+    const teams = mongoose.connection.collection('teams');
+    const titles = await teams.distinct('problemStatement', { problemStatement: { $type: 'string' } });
+
+    if (titles.length === 0) {
+      console.log('No teams with free-text problem statements found');
+      return;
+    }
+
+    for (const title of titles) {
+      let statement = await ProblemStatement.findOne({ title });
+      if (!statement) {
+        statement = await ProblemStatement.create({ title });
+        console.log(`Created problem statement: ${title}`);
+      }
+
+      const result = await teams.updateMany(
+        { problemStatement: title },
+        { $set: { problemStatement: statement._id } }
+      );
+      console.log(`Linked ${result.modifiedCount} team(s) to "${title}"`);
+    }
+
+    console.log('Problem statement migration completed');
+  } catch (error) {
+    console.error('Error migrating problem statements:', error);
+  }
+};
+
+// Main function
+const main = async () => {
+  await connectDB();
+  await migrateProblemStatements();
+  process.exit(0);
+};
+
+main();
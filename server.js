@@ -1,11 +1,19 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const errorEnvelope = require('./middleware/errorEnvelope');
+const { assertMailConfig } = require('./utils/mailer');
+const { assertPaymentConfig } = require('./utils/payments');
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start with an incomplete mail or payment setup
+assertMailConfig();
+assertPaymentConfig();
+
 // Connect to database
 connectDB();
 
@@ -13,14 +21,44 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(errorEnvelope);
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for payment webhook signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Public uploads stored by the local storage driver (private files need a signed /api/files URL).
+// Uploads are always downloaded, never rendered by the browser, so a file can't run as a page.
+if (process.env.STORAGE_DRIVER === 'local') {
+  app.use('/uploads', (req, res, next) => {
+    if (path.posix.normalize(decodeURIComponent(req.path)).startsWith('/private/')) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    next();
+  }, express.static(path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads'), {
+    setHeaders: (res) => {
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.set('Content-Disposition', 'attachment');
+    }
+  }));
+}
+
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/teams', require('./routes/teamRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/judges', require('./routes/judgeRoutes'));
+app.use('/api/submissions', require('./routes/submissionRoutes'));
+app.use('/api/payments', require('./routes/paymentRoutes'));
+app.use('/api/files', require('./routes/fileRoutes'));
+app.use('/api/matchmaking', require('./routes/matchmakingRoutes'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -29,6 +67,14 @@ app.get('/api/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed or oversized JSON bodies are client errors
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ message: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ message: 'Request body is too large' });
+  }
+
   console.error('Error:', err);
   res.status(500).json({ message: 'Internal server error' });
 });
@@ -0,0 +1,54 @@
+const express = require('express');
+const errorEnvelope = require('../../middleware/errorEnvelope');
+const { createSession } = require('../../utils/sessions');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Start an app serving the given routers on a random port
+ * @param {Object} routers - { mountPath: router }
+ * @returns {Promise<Object>} - { request(method, path, { token, body }), close() }
+ */
+async function startApp(routers) {
+  const app = express();
+  app.use(errorEnvelope);
+  app.use(express.json());
+  Object.entries(routers).forEach(([mountPath, router]) => app.use(mountPath, router));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return {
+    request,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+/**
+ * Access token for a user
+ * @param {Object} user - User document
+ * @returns {Promise<string>}
+ */
+async function createToken(user) {
+  const { token } = await createSession(user, 'User', { get: () => 'test', ip: '127.0.0.1' });
+  return token;
+}
+
+module.exports = {
+  startApp,
+  createToken
+};
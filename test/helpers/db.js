@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Transactions need a replica set; a single-node one is enough
+const MONGODB_VERSION = process.env.MONGOMS_VERSION || '7.0.14';
+
+let replSet = null;
+
+/**
+ * Connect mongoose to MONGODB_TEST_URI or to an in-memory replica set. Fails the run when
+ * MongoDB can't be started, unless SKIP_DB_TESTS=1 asks to skip the database tests instead.
+ * @returns {Promise<Object>} - { available, reason } (reason explains why tests are skipped)
+ */
+async function startDatabase() {
+  let uri = process.env.MONGODB_TEST_URI;
+  try {
+    if (!uri) {
+      const { MongoMemoryReplSet } = require('mongodb-memory-server');
+      replSet = await MongoMemoryReplSet.create({
+        binary: { version: MONGODB_VERSION },
+        replSet: { count: 1, storageEngine: 'wiredTiger' }
+      });
+      uri = replSet.getUri();
+    }
+    await mongoose.connect(uri, { dbName: `hackbits-test-${process.pid}` });
+    await mongoose.connection.syncIndexes();
+    return { available: true };
+  } catch (error) {
+    if (process.env.SKIP_DB_TESTS !== '1') {
+      throw new Error(`MongoDB is not available (set SKIP_DB_TESTS=1 to skip the database tests): ${error.message}`);
+    }
+    return { available: false, reason: `MongoDB is not available: ${error.message}` };
+  }
+}
+
+async function stopDatabase() {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+}
+
+// Empty every collection but keep the indexes
+async function clearDatabase() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+}
+
+module.exports = {
+  startDatabase,
+  stopDatabase,
+  clearDatabase
+};
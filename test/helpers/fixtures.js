@@ -0,0 +1,70 @@
+const Event = require('../../models/Event');
+const User = require('../../models/User');
+const ProblemStatement = require('../../models/ProblemStatement');
+const Team = require('../../models/Team');
+const TeamMembership = require('../../models/TeamMembership');
+
+let userCount = 0;
+let teamCount = 0;
+
+/**
+ * Active event with one problem statement
+ * @param {Object} fields - Event fields to override
+ * @returns {Promise<Object>} - { event, statement }
+ */
+async function createEvent(fields = {}) {
+  const event = await Event.create({ name: 'Test Hackathon', slug: 'test', isActive: true, ...fields });
+  const statement = await ProblemStatement.create({ event: event._id, title: 'Open innovation' });
+  return { event, statement };
+}
+
+/**
+ * Verified user with a unique email and registration number
+ * @param {Object} fields - User fields to override
+ * @returns {Promise<Object>} - User document
+ */
+function createUser(fields = {}) {
+  userCount += 1;
+  return User.create({
+    registrationNumber: `REG${String(userCount).padStart(4, '0')}`,
+    email: `user${userCount}@example.com`,
+    password: 'password123',
+    name: `User ${userCount}`,
+    emailVerified: true,
+    ...fields
+  });
+}
+
+/**
+ * Team with its memberships, as if the members had accepted their invitations
+ * @param {Object} event - Event document
+ * @param {Object} statement - Problem statement document
+ * @param {Object} leader - Leader user document
+ * @param {Array} members - Member user documents
+ * @param {Object} fields - Team fields to override
+ * @returns {Promise<Object>} - Team document
+ */
+async function createTeam(event, statement, leader, members = [], fields = {}) {
+  teamCount += 1;
+  const team = await Team.create({
+    event: event._id,
+    teamName: `Team ${teamCount}`,
+    registrationNumber: `TEAM${String(teamCount).padStart(4, '0')}`,
+    leader: leader._id,
+    members: members.map((member) => member._id),
+    problemStatement: statement._id,
+    teamSize: 'Team',
+    ...fields
+  });
+  await TeamMembership.create([
+    { event: event._id, user: leader._id, team: team._id, role: 'leader' },
+    ...members.map((member) => ({ event: event._id, user: member._id, team: team._id, role: 'member' }))
+  ]);
+  return team;
+}
+
+module.exports = {
+  createEvent,
+  createUser,
+  createTeam
+};
@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Settings = require('../models/Settings');
+const Invitation = require('../models/Invitation');
+const TeammateProfile = require('../models/TeammateProfile');
+const { startDatabase, stopDatabase, clearDatabase } = require('./helpers/db');
+const { startApp, createToken } = require('./helpers/app');
+const { createEvent, createUser, createTeam } = require('./helpers/fixtures');
+
+describe('matchmaking invitations', () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await startDatabase();
+    if (database.available) {
+      app = await startApp({ '/api/matchmaking': require('../routes/matchmakingRoutes') });
+    }
+  });
+
+  after(async () => {
+    if (app) await app.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    if (!database.available) return;
+    await clearDatabase();
+  });
+
+  // Leader of a team with open slots and a participant looking for a team
+  const setup = async (eventFields = {}, participantFields = {}) => {
+    const { event, statement } = await createEvent(eventFields);
+    const leader = await createUser({ university: 'Host University' });
+    const participant = await createUser(participantFields);
+    const team = await createTeam(event, statement, leader, [], { lookingForMembers: true });
+    await TeammateProfile.create({ event: event._id, user: participant._id, lookingForTeam: true });
+    return { event, team, leader, participant };
+  };
+
+  const invite = async (leader, participant) => app.request('POST', `/api/matchmaking/participants/${participant._id}/invitations`, {
+    token: await createToken(leader)
+  });
+
+  const requestToJoin = async (participant, team) => app.request('POST', `/api/matchmaking/teams/${team._id}/join-requests`, {
+    token: await createToken(participant)
+  });
+
+  it('invites a participant looking for a team', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { leader, participant } = await setup();
+
+    const response = await invite(leader, participant);
+
+    assert.equal(response.status, 201);
+    assert.equal(await Invitation.countDocuments({ user: participant._id, status: 'pending' }), 1);
+  });
+
+  it('requires a verified email to invite when verification is required', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { leader, participant } = await setup();
+    await Settings.getSettings();
+    await Settings.updateOne({ key: 'global' }, { requireEmailVerification: true });
+    leader.emailVerified = false;
+    await leader.save();
+
+    const response = await invite(leader, participant);
+
+    assert.equal(response.status, 403);
+    assert.equal(await Invitation.countDocuments(), 0);
+  });
+
+  it('refuses invitations and join requests once registration has closed', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { team, leader, participant } = await setup({ registrationClosesAt: new Date(Date.now() - 60 * 1000) });
+
+    const responses = [await invite(leader, participant), await requestToJoin(participant, team)];
+
+    assert.deepEqual(responses.map((response) => response.status), [403, 403]);
+    assert.equal(await Invitation.countDocuments(), 0);
+  });
+
+  it('refuses invitations and join requests that break an eligibility rule', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { team, leader, participant } = await setup(
+      { eligibilityRules: [{ type: 'same-value', field: 'university' }] },
+      { university: 'Other University' }
+    );
+
+    const responses = [await invite(leader, participant), await requestToJoin(participant, team)];
+
+    assert.deepEqual(responses.map((response) => response.status), [400, 400]);
+    assert.deepEqual(responses.map((response) => response.body.code), ['ELIGIBILITY_VIOLATION', 'ELIGIBILITY_VIOLATION']);
+    assert.equal(await Invitation.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Team = require('../models/Team');
+const TeamMembership = require('../models/TeamMembership');
+const Invitation = require('../models/Invitation');
+const { createInvitation } = require('../utils/teamMembership');
+const { startDatabase, stopDatabase, clearDatabase } = require('./helpers/db');
+const { startApp, createToken } = require('./helpers/app');
+const { createEvent, createUser } = require('./helpers/fixtures');
+
+describe('team registration and invitations under concurrency', () => {
+  let database;
+  let app;
+  let statement;
+
+  before(async () => {
+    database = await startDatabase();
+    if (database.available) {
+      app = await startApp({ '/api/teams': require('../routes/teamRoutes') });
+    }
+  });
+
+  after(async () => {
+    if (app) await app.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    if (!database.available) return;
+    await clearDatabase();
+    ({ statement } = await createEvent());
+  });
+
+  const register = (token, teamName, fields = {}) => app.request('POST', '/api/teams/register', {
+    token,
+    body: { teamName, teamSize: 'Duo', problemStatement: String(statement._id), ...fields }
+  });
+
+  const accept = (token, invitation) => app.request('POST', `/api/teams/invitations/${invitation._id}/accept`, { token });
+
+  it('registers only one team when a leader submits twice at once', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const leader = await createUser();
+    const token = await createToken(leader);
+
+    const responses = await Promise.all([register(token, 'Alpha'), register(token, 'Beta')]);
+
+    assert.deepEqual(responses.map((response) => response.status).sort(), [201, 400]);
+    assert.equal(await Team.countDocuments({ leader: leader._id }), 1);
+    assert.equal(await TeamMembership.countDocuments({ user: leader._id }), 1);
+  });
+
+  it('gives teams registered at once different registration numbers', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const leaders = await Promise.all([createUser(), createUser(), createUser()]);
+    const tokens = await Promise.all(leaders.map(createToken));
+
+    const responses = await Promise.all(tokens.map((token, index) => register(token, `Team ${index}`)));
+
+    assert.deepEqual(responses.map((response) => response.status), [201, 201, 201]);
+    const numbers = await Team.distinct('registrationNumber');
+    assert.equal(numbers.length, 3);
+  });
+
+  it('lets only one invitee take the last slot when both accept at once', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const [leader, first, second] = await Promise.all([createUser(), createUser(), createUser()]);
+    const response = await register(await createToken(leader), 'Pair');
+    const team = await Team.findById(response.body.team._id);
+    const invitations = await Promise.all([first, second].map((user) => createInvitation(team, user._id, leader._id)));
+
+    const responses = await Promise.all([
+      accept(await createToken(first), invitations[0]),
+      accept(await createToken(second), invitations[1])
+    ]);
+
+    assert.deepEqual(responses.map((result) => result.status).sort(), [200, 400]);
+    const saved = await Team.findById(team._id);
+    assert.equal(saved.members.length, 1);
+    assert.equal(await TeamMembership.countDocuments({ team: team._id }), 2);
+  });
+
+  it('keeps a user in one team when they accept two invitations at once', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const [firstLeader, secondLeader, invitee] = await Promise.all([createUser(), createUser(), createUser()]);
+    const teams = await Promise.all([
+      register(await createToken(firstLeader), 'First'),
+      register(await createToken(secondLeader), 'Second')
+    ]);
+    const invitations = await Promise.all(teams.map(async (response) => {
+      const team = await Team.findById(response.body.team._id);
+      return createInvitation(team, invitee._id, team.leader);
+    }));
+
+    const token = await createToken(invitee);
+    const responses = await Promise.all(invitations.map((invitation) => accept(token, invitation)));
+
+    assert.deepEqual(responses.map((result) => result.status).sort(), [200, 400]);
+    assert.equal(await TeamMembership.countDocuments({ user: invitee._id }), 1);
+    assert.equal(await Team.countDocuments({ members: invitee._id }), 1);
+    assert.equal(await Invitation.countDocuments({ user: invitee._id, status: 'accepted' }), 1);
+  });
+});
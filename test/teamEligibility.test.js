@@ -0,0 +1,152 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { evaluateEligibility } = require('../utils/eligibility');
+const { startDatabase, stopDatabase, clearDatabase } = require('./helpers/db');
+const { startApp, createToken } = require('./helpers/app');
+const { createEvent, createUser, createTeam } = require('./helpers/fixtures');
+
+const HOST = 'Host University';
+
+const minHostRule = { type: 'min-count', field: 'university', values: [HOST], count: 2 };
+const sameUniversityRule = { type: 'same-value', field: 'university' };
+
+describe('evaluateEligibility', () => {
+  const event = { eligibilityRules: [minHostRule] };
+
+  it('keeps a minimum pending while open slots can still reach it', () => {
+    const report = evaluateEligibility(event, [{ university: HOST }], { openSlots: 1 });
+
+    assert.equal(report.eligible, false);
+    assert.equal(report.rules[0].status, 'pending');
+  });
+
+  it('reports a minimum that can no longer be reached as violated', () => {
+    const report = evaluateEligibility(event, [{ university: HOST }, { university: 'Other' }], { openSlots: 0 });
+
+    assert.equal(report.rules[0].status, 'violated');
+  });
+});
+
+describe('team eligibility after members leave or change their profile', () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await startDatabase();
+    if (database.available) {
+      app = await startApp({
+        '/api/teams': require('../routes/teamRoutes'),
+        '/api/users': require('../routes/userRoutes')
+      });
+    }
+  });
+
+  after(async () => {
+    if (app) await app.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    if (!database.available) return;
+    await clearDatabase();
+  });
+
+  // Approved team of a leader and two members from the host university
+  const createHostTeam = async (rule) => {
+    const { event, statement } = await createEvent({ eligibilityRules: [rule] });
+    const [leader, first, second] = await Promise.all([
+      createUser({ university: HOST }),
+      createUser({ university: HOST }),
+      createUser({ university: HOST })
+    ]);
+    const team = await createTeam(event, statement, leader, [first, second], { status: 'approved' });
+    return { team, leader, first, second };
+  };
+
+  it('sends an approved team back to review when a member leaves it short of a minimum', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { team, leader, first, second } = await createHostTeam(minHostRule);
+    await User.updateOne({ _id: second._id }, { university: 'Other' });
+
+    const response = await app.request('POST', `/api/teams/${team._id}/leave`, { token: await createToken(first) });
+
+    assert.equal(response.status, 200);
+    const saved = await Team.findById(team._id);
+    assert.deepEqual(saved.members.map(String), [String(second._id)]);
+    assert.equal(saved.status, 'pending');
+    assert.match(saved.statusReason, /eligibility/);
+    assert.ok(saved.leader.equals(leader._id));
+  });
+
+  it('sends an approved team back to review when the leader removes a member it needed', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { team, leader, first, second } = await createHostTeam(minHostRule);
+    await User.updateOne({ _id: second._id }, { university: 'Other' });
+
+    const response = await app.request('DELETE', `/api/teams/${team._id}/members/${first._id}`, {
+      token: await createToken(leader)
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await Team.findById(team._id)).status, 'pending');
+  });
+
+  it('keeps an approved team approved when the rule is still met', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { team, first } = await createHostTeam(minHostRule);
+
+    const response = await app.request('POST', `/api/teams/${team._id}/leave`, { token: await createToken(first) });
+
+    assert.equal(response.status, 200);
+    assert.equal((await Team.findById(team._id)).status, 'approved');
+  });
+
+  it('refuses a profile change that breaks a rule of the user\'s team', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { first } = await createHostTeam(sameUniversityRule);
+
+    const response = await app.request('PUT', '/api/users/profile', {
+      token: await createToken(first),
+      body: { university: 'Other' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'ELIGIBILITY_VIOLATION');
+    assert.equal((await User.findById(first._id)).university, HOST);
+  });
+
+  it('lets members of a team that already broke a rule leave and edit their profile', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    // The rule was added after the team registered with a member from another university
+    const { team, first, second } = await createHostTeam(sameUniversityRule);
+    await User.updateOne({ _id: second._id }, { university: 'Other' });
+
+    const profile = await app.request('PUT', '/api/users/profile', {
+      token: await createToken(second),
+      body: { university: 'Another University' }
+    });
+    const leave = await app.request('POST', `/api/teams/${team._id}/leave`, { token: await createToken(first) });
+
+    assert.equal(profile.status, 200);
+    assert.equal((await User.findById(second._id)).university, 'Another University');
+    assert.equal(leave.status, 200);
+    assert.deepEqual((await Team.findById(team._id)).members.map(String), [String(second._id)]);
+  });
+
+  it('sends an approved team back to review when a profile change leaves it short of a minimum', async (t) => {
+    if (!database.available) return t.skip(database.reason);
+    const { team, first, second } = await createHostTeam(minHostRule);
+    await User.updateOne({ _id: second._id }, { university: 'Other' });
+
+    const response = await app.request('PUT', '/api/users/profile', {
+      token: await createToken(first),
+      body: { university: 'Other' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await User.findById(first._id)).university, 'Other');
+    assert.equal((await Team.findById(team._id)).status, 'pending');
+  });
+});
@@ -0,0 +1,104 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields never copied into the audit log
+const SENSITIVE_FIELDS = ['password', 'passwordResetTokenHash', 'refreshTokenHash', 'tokenVersion', '__v', 'updatedAt'];
+
+/**
+ * Plain, depopulated copy of a document without sensitive fields
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null}
+ */
+function toAuditSnapshot(doc) {
+  if (!doc) return null;
+  const snapshot = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  SENSITIVE_FIELDS.forEach((field) => delete snapshot[field]);
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Top-level fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Array} - [{ field, before, after }]
+ */
+function diffSnapshots(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (SENSITIVE_FIELDS.includes(field)) return;
+    const previous = before ? before[field] : undefined;
+    const next = after ? after[field] : undefined;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  });
+
+  return changes;
+}
+
+// Work out who made the request from the authenticated account
+const resolveActor = (req) => {
+  if (req && req.admin) return { actorType: 'Admin', actor: req.admin._id, actorName: req.admin.username };
+  if (req && req.judge) return { actorType: 'Judge', actor: req.judge._id, actorName: req.judge.email };
+  if (req && req.user) return { actorType: 'User', actor: req.user._id, actorName: req.user.email };
+  return { actorType: 'System', actor: null, actorName: null };
+};
+
+/**
+ * Write an audit log entry. Failures are logged and never break the request.
+ * @param {Object} req - Express request (actor, IP and user agent), may be null for system actions
+ * @param {Object} entry - { action, targetType, targetId, before, after, metadata, actor }
+ *   where actor ({ actorType, actor, actorName }) overrides the authenticated account
+ * @returns {Promise<Object|null>} - Audit log document
+ */
+async function recordAudit(req, { action, targetType = null, targetId = null, before = null, after = null, metadata = null, actor = null }) {
+  try {
+    const beforeSnapshot = toAuditSnapshot(before);
+    const afterSnapshot = toAuditSnapshot(after);
+
+    return await AuditLog.create({
+      ...(actor || resolveActor(req)),
+      action,
+      targetType,
+      targetId,
+      changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+      metadata,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+}
+
+/**
+ * Build an audit log query from request query parameters
+ * @param {Object} query - { actorType, actor, action, targetType, targetId, from, to }
+ * @returns {Object} - MongoDB filter
+ */
+function buildAuditFilter(query) {
+  const filter = {};
+  if (query.actorType) filter.actorType = query.actorType;
+  if (query.actor) filter.actor = query.actor;
+  if (query.action) {
+    // "team." matches every team action
+    filter.action = query.action.endsWith('.') ? { $regex: `^${query.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } : query.action;
+  }
+  if (query.targetType) filter.targetType = query.targetType;
+  if (query.targetId) filter.targetId = query.targetId;
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+  return filter;
+}
+
+module.exports = {
+  toAuditSnapshot,
+  diffSnapshots,
+  recordAudit,
+  buildAuditFilter
+};
@@ -0,0 +1,44 @@
+/**
+ * Escape a single value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && !value._bsontype) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value); // Primitives and ObjectIds
+  }
+  // Stop spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} - Line ending in CRLF
+ */
+function toCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Set headers for a CSV file download
+ * @param {Object} res - Express response
+ * @param {string} fileName - Download file name without extension
+ */
+function setCsvHeaders(res, fileName) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${new Date().toISOString().slice(0, 10)}.csv"`);
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  setCsvHeaders
+};
@@ -0,0 +1,196 @@
+const User = require('../models/User');
+const Event = require('../models/Event');
+const HttpError = require('./httpError');
+const { getOpenSlots } = require('./teamRules');
+const { changeTeamStatus } = require('./teamStatus');
+
+const PROFILE_FIELDS = Event.ELIGIBILITY_FIELDS.join(' ');
+
+const normalize = (value) => (value === undefined || value === null ? '' : String(value).trim().toLowerCase());
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Human readable description of an eligibility rule (the admin's message when set)
+ * @param {Object} rule - Eligibility rule of an event
+ * @returns {string}
+ */
+function describeRule(rule) {
+  if (rule.message) return rule.message;
+
+  const values = (rule.values || []).join(' or ');
+  switch (rule.type) {
+    case 'min-count':
+      return `At least ${plural(rule.count, 'member')} must have ${rule.field} ${values}`;
+    case 'max-count':
+      return `At most ${plural(rule.count, 'member')} may have ${rule.field} ${values}`;
+    case 'same-value':
+      return `All members must have the same ${rule.field}`;
+    case 'allowed-values':
+      return `All members must have ${rule.field} ${values}`;
+    default:
+      return 'Unknown eligibility rule';
+  }
+}
+
+/**
+ * Check one rule against the team's profiles. Minimums the team can still reach with its open
+ * slots are pending rather than violated, so teams can register before everyone has joined.
+ * @param {Object} rule - Eligibility rule
+ * @param {Array} users - Profiles of the leader and members
+ * @param {number} openSlots - Member slots the team can still fill
+ * @returns {string} - met, pending or violated
+ */
+function evaluateRule(rule, users, openSlots) {
+  const values = users.map((user) => normalize(user[rule.field]));
+  const allowed = (rule.values || []).map(normalize);
+  const matching = values.filter((value) => value && allowed.includes(value)).length;
+
+  switch (rule.type) {
+    case 'min-count':
+      if (matching >= rule.count) return 'met';
+      return matching + openSlots >= rule.count ? 'pending' : 'violated';
+    case 'max-count':
+      return matching > rule.count ? 'violated' : 'met';
+    case 'same-value':
+      // Members without the field can't be shown to match the others
+      if (users.length > 1 && values.includes('')) return 'violated';
+      return new Set(values).size > 1 ? 'violated' : 'met';
+    case 'allowed-values':
+      return matching === values.length ? 'met' : 'violated';
+    default:
+      return 'met';
+  }
+}
+
+/**
+ * Evaluate an event's eligibility rules against a team composition
+ * @param {Object} event - Event document
+ * @param {Array} users - Profiles ({ university, course, year, gender }) of the leader and members
+ * @param {Object} options - { openSlots (member slots still open, default 0) }
+ * @returns {Object} - { eligible, rules: [{ rule, type, field, description, status }] }
+ */
+function evaluateEligibility(event, users, { openSlots = 0 } = {}) {
+  const results = (event.eligibilityRules || []).map((rule) => ({
+    rule: rule._id,
+    type: rule.type,
+    field: rule.field,
+    description: describeRule(rule),
+    status: evaluateRule(rule, users, openSlots)
+  }));
+
+  return {
+    eligible: results.every((result) => result.status === 'met'),
+    rules: results
+  };
+}
+
+// 400 listing the violated rules of an eligibility report
+const violationError = (violated) =>
+  new HttpError(400, `Team does not meet the eligibility rules: ${violated.map((result) => result.description).join('; ')}`, {
+    code: 'ELIGIBILITY_VIOLATION',
+    errors: violated.map((result) => ({
+      field: result.field,
+      message: result.description,
+      code: 'ELIGIBILITY_RULE_VIOLATED',
+      rule: result.rule
+    }))
+  });
+
+/**
+ * Ensure a (prospective) team composition doesn't violate any eligibility rule
+ * @param {Object} event - Event document
+ * @param {Array} users - Profiles of the leader and members after the change
+ * @param {Object} options - { openSlots }
+ * @returns {Object} - Eligibility report (see evaluateEligibility)
+ */
+function assertEligible(event, users, options = {}) {
+  const report = evaluateEligibility(event, users, options);
+  const violated = report.rules.filter((result) => result.status === 'violated');
+
+  if (violated.length > 0) throw violationError(violated);
+  return report;
+}
+
+/**
+ * Load the profile fields used by eligibility rules
+ * @param {Array} userIds - User IDs
+ * @param {Object} options - { session }
+ * @returns {Promise<Array>} - Lean user profiles
+ */
+function loadProfiles(userIds, { session = null } = {}) {
+  return User.find({ _id: { $in: userIds } }).select(PROFILE_FIELDS).session(session).lean();
+}
+
+// Leader and member IDs of a team whose users may be populated
+const teamUserIds = (team) => [team.leader, ...team.members].map((user) => user._id || user);
+
+/**
+ * Eligibility report of a team's current composition
+ * @param {Object} team - Team document (leader and members may be populated)
+ * @param {Object} event - Event the team belongs to
+ * @returns {Promise<Object>} - Eligibility report (see evaluateEligibility)
+ */
+async function getTeamEligibility(team, event) {
+  const users = event.eligibilityRules.length > 0 ? await loadProfiles(teamUserIds(team)) : [];
+  return evaluateEligibility(event, users, { openSlots: getOpenSlots(team.teamSize, team.members.length) });
+}
+
+/**
+ * Ensure a team stays eligible after adding users or changing its size
+ * @param {Object} team - Team document with the change applied except for the added users
+ * @param {Object} event - Event the team belongs to
+ * @param {Array} addedUserIds - Users about to join
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - Eligibility report after the change
+ */
+async function assertTeamEligible(team, event, addedUserIds = [], { session = null } = {}) {
+  if (event.eligibilityRules.length === 0) return evaluateEligibility(event, []);
+
+  const users = await loadProfiles([...teamUserIds(team), ...addedUserIds], { session });
+  const openSlots = getOpenSlots(team.teamSize, team.members.length + addedUserIds.length);
+  return assertEligible(event, users, { openSlots });
+}
+
+/**
+ * Re-check a team after a member left or changed their profile. Only rules the team met before
+ * the change count: breaking one is refused (unless refuseViolations is false, e.g. for members
+ * leaving), and an approved team that no longer meets one goes back to pending for review.
+ * Rules the team already broke, e.g. ones added after it registered, never block the change.
+ * @param {Object} team - Team document with the change applied (not saved)
+ * @param {Object} event - Event the team belongs to
+ * @param {Object} previous - Eligibility report before the change (see getTeamEligibility)
+ * @param {Object} options - { profile: unsaved profile changes of one user ({ _id, ...fields }),
+ *   refuseViolations (default true), session }
+ * @returns {Promise<Object>} - Eligibility report after the change
+ */
+async function recheckTeamEligibility(team, event, previous, { profile = null, refuseViolations = true, session = null } = {}) {
+  if (event.eligibilityRules.length === 0) return evaluateEligibility(event, []);
+
+  const users = (await loadProfiles(teamUserIds(team), { session }))
+    .map((user) => (profile && user._id.equals(profile._id) ? { ...user, ...profile } : user));
+  const report = evaluateEligibility(event, users, { openSlots: getOpenSlots(team.teamSize, team.members.length) });
+
+  const metBefore = new Set(previous.rules.filter((result) => result.status === 'met').map((result) => String(result.rule)));
+  const lost = report.rules.filter((result) => result.status !== 'met' && metBefore.has(String(result.rule)));
+  const broken = lost.filter((result) => result.status === 'violated');
+  if (refuseViolations && broken.length > 0) throw violationError(broken);
+
+  if (lost.length > 0 && team.status === 'approved') {
+    changeTeamStatus(team, 'pending', {
+      reason: `No longer meets the eligibility rules: ${lost.map((result) => result.description).join('; ')}`,
+      automatic: true
+    });
+  }
+  return report;
+}
+
+module.exports = {
+  describeRule,
+  evaluateEligibility,
+  assertEligible,
+  loadProfiles,
+  getTeamEligibility,
+  assertTeamEligible,
+  recheckTeamEligibility
+};
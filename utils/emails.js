@@ -0,0 +1,100 @@
+const { sendMail, buildClientUrl } = require('./mailer');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for interpolation into an HTML email body
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Send the email verification link to a user
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - Success status
+ */
+function sendVerificationEmail(user) {
+  const link = buildClientUrl('/verify-email', { token: user.createEmailVerificationToken() });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name || 'there'},\n\nPlease verify your email address by opening the link below:\n${link}\n\nIf you did not create an account you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p>Please verify your email address by clicking <a href="${escapeHtml(link)}">this link</a>.</p><p>If you did not create an account you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Send a password reset link to a user
+ * @param {Object} user - User document
+ * @param {string} token - Plain password reset token
+ * @returns {Promise<boolean>} - Success status
+ */
+function sendPasswordResetEmail(user, token) {
+  const link = buildClientUrl('/reset-password', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name || 'there'},\n\nYou can reset your password using the link below. It expires soon and can only be used once:\n${link}\n\nIf you did not request a password reset you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p>You can reset your password by clicking <a href="${escapeHtml(link)}">this link</a>. It expires soon and can only be used once.</p><p>If you did not request a password reset you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Tell every team member that their payment was verified or rejected
+ * @param {Array} users - Team leader and members (User documents)
+ * @param {Object} team - Team document
+ * @returns {Promise<boolean>} - Success status
+ */
+async function sendPaymentDecisionEmail(users, team) {
+  const link = buildClientUrl('/my-team');
+  const verified = team.paymentStatus === 'verified';
+  const subject = verified
+    ? `Payment verified for ${team.teamName}`
+    : `Payment proof rejected for ${team.teamName}`;
+  const details = verified
+    ? 'Your registration payment has been verified.'
+    : `Your payment proof was rejected for the following reason:\n${team.paymentStatusReason}\n\nPlease upload a new payment proof from your team page.`;
+
+  const results = await Promise.all(users.map((user) => sendMail({
+    to: user.email,
+    subject,
+    text: `Hi ${user.name || 'there'},\n\n${details}\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p>${escapeHtml(details).replace(/\n/g, '<br>')}</p><p><a href="${escapeHtml(link)}">View your team</a></p>`
+  })));
+  return results.every(Boolean);
+}
+
+/**
+ * Tell every team member that their team moved off the waitlist
+ * @param {Array} users - Team leader and members (User documents)
+ * @param {Object} team - Team document
+ * @returns {Promise<boolean>} - Success status
+ */
+async function sendWaitlistPromotionEmail(users, team) {
+  const link = buildClientUrl('/my-team');
+  const details = `A slot has opened up and ${team.teamName} is no longer on the waitlist. Your registration can now continue.`;
+
+  const results = await Promise.all(users.map((user) => sendMail({
+    to: user.email,
+    subject: `${team.teamName} is off the waitlist`,
+    text: `Hi ${user.name || 'there'},\n\n${details}\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name || 'there')},</p><p>${escapeHtml(details)}</p><p><a href="${escapeHtml(link)}">View your team</a></p>`
+  })));
+  return results.every(Boolean);
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPaymentDecisionEmail,
+  sendWaitlistPromotionEmail
+};
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Settings = require('../models/Settings');
+const Team = require('../models/Team');
+const TeamMembership = require('../models/TeamMembership');
+const ProblemStatement = require('../models/ProblemStatement');
+const Payment = require('../models/Payment');
+const HttpError = require('./httpError');
+
+const DEFAULT_EVENT_SLUG = 'default';
+
+// Per-event settings that used to live on the global Settings document
+const LEGACY_EVENT_FIELDS = [
+  'registrationLockAt',
+  'lockedTeamChangePolicy',
+  'autoApproveOnPaymentVerified',
+  'leaderboardPublished',
+  'submissionOpensAt',
+  'submissionClosesAt',
+  'submissionGraceMinutes',
+  'registrationFee',
+  'registrationFeeByTeamSize',
+  'maxPaymentProofUploads',
+  'paymentCurrency'
+];
+
+// Create the default event from the legacy settings and attach records created before events existed
+const createDefaultEvent = async () => {
+  const legacySettings = await Settings.collection.findOne({ key: 'global' }) || {};
+  const defaults = {};
+  LEGACY_EVENT_FIELDS.forEach((field) => {
+    if (legacySettings[field] !== undefined) defaults[field] = legacySettings[field];
+  });
+
+  const result = await Event.findOneAndUpdate(
+    { slug: DEFAULT_EVENT_SLUG },
+    { $setOnInsert: { name: 'Hackathon', slug: DEFAULT_EVENT_SLUG, isActive: true, ...defaults } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, rawResult: true }
+  );
+  const event = result.value;
+
+  if (!result.lastErrorObject.updatedExisting) {
+    const orphans = { event: null };
+    await Promise.all([
+      Team.updateMany(orphans, { event: event._id }),
+      TeamMembership.updateMany(orphans, { event: event._id }),
+      ProblemStatement.updateMany(orphans, { event: event._id }),
+      Payment.updateMany(orphans, { event: event._id })
+    ]);
+  }
+
+  return event;
+};
+
+/**
+ * The current event: the active event starting last, created on first use
+ * @returns {Promise<Object>} - Event document
+ */
+async function getCurrentEvent() {
+  const event = await Event.findOne({ isActive: true }).sort({ startsAt: -1, createdAt: -1 });
+  if (event) return event;
+
+  if (await Event.exists({})) {
+    throw new HttpError(503, 'No hackathon is currently active');
+  }
+  return createDefaultEvent();
+}
+
+/**
+ * Find an event by ID or slug, or the current event when none is given
+ * @param {string} value - Event ID or slug
+ * @returns {Promise<Object>} - Event document
+ */
+async function findEvent(value) {
+  if (!value) return getCurrentEvent();
+
+  const filter = mongoose.Types.ObjectId.isValid(value)
+    ? { $or: [{ _id: value }, { slug: String(value).toLowerCase() }] }
+    : { slug: String(value).toLowerCase() };
+  const event = await Event.findOne(filter);
+  if (!event) {
+    throw new HttpError(404, 'Event not found');
+  }
+  return event;
+}
+
+/**
+ * Event a team belongs to
+ * @param {Object} team - Team document
+ * @returns {Promise<Object>} - Event document
+ */
+async function getEventForTeam(team) {
+  if (!team.event) return getCurrentEvent();
+  const event = await Event.findById(team.event);
+  if (!event) {
+    throw new HttpError(404, 'Event not found');
+  }
+  return event;
+}
+
+/**
+ * Ensure team registrations and invitations into teams are accepted for an event
+ * @param {Object} event - Event document
+ * @param {Date} now - Current time
+ */
+function assertRegistrationOpen(event, now = new Date()) {
+  if (!event.isActive) {
+    throw new HttpError(403, 'Registration is not open for this event');
+  }
+
+  const state = event.getRegistrationWindowState(now);
+  if (state === 'not-open') {
+    throw new HttpError(403, `Registration opens on ${event.registrationOpensAt.toISOString()}`);
+  }
+  if (state === 'closed') {
+    throw new HttpError(403, 'Registration has closed');
+  }
+}
+
+/**
+ * Make an event the only active one
+ * @param {Object} event - Event document
+ * @returns {Promise<Object>} - Saved event document
+ */
+async function activateEvent(event) {
+  await Event.updateMany({ _id: { $ne: event._id }, isActive: true }, { isActive: false });
+  event.isActive = true;
+  await event.save();
+  return event;
+}
+
+module.exports = {
+  getCurrentEvent,
+  findEvent,
+  getEventForTeam,
+  assertRegistrationOpen,
+  activateEvent
+};
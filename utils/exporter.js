@@ -0,0 +1,70 @@
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Excel cells can't hold ObjectIds or nested objects
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  return String(value);
+};
+
+// Respect backpressure so a slow client doesn't buffer the whole export in memory
+const writeChunk = (res, chunk) => (res.write(chunk) ? Promise.resolve() : new Promise((resolve) => res.once('drain', resolve)));
+
+/**
+ * Stream rows from a Mongo cursor to the response as CSV or XLSX
+ * without loading the whole result set into memory
+ * @param {Object} res - Express response
+ * @param {Object} options - { fileName, format, columns: [{ header, key, width }], cursor, mapRow }
+ *   where mapRow(doc) returns an object keyed by column key (or an array of such objects)
+ * @returns {Promise<number>} - Number of rows written
+ */
+async function streamExport(res, { fileName, format, columns, cursor, mapRow }) {
+  const date = new Date().toISOString().slice(0, 10);
+  let rowCount = 0;
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${date}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet(fileName);
+    worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 20 }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const doc of cursor) {
+      [].concat(mapRow(doc)).forEach((row) => {
+        const values = {};
+        columns.forEach(({ key }) => { values[key] = toCellValue(row[key]); });
+        worksheet.addRow(values).commit();
+        rowCount += 1;
+      });
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return rowCount;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${date}.csv"`);
+  await writeChunk(res, toCsvRow(columns.map((column) => column.header)));
+
+  for await (const doc of cursor) {
+    for (const row of [].concat(mapRow(doc))) {
+      await writeChunk(res, toCsvRow(columns.map(({ key }) => row[key])));
+      rowCount += 1;
+    }
+  }
+
+  res.end();
+  return rowCount;
+}
+
+module.exports = {
+  FORMATS,
+  streamExport
+};
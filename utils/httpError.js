@@ -0,0 +1,16 @@
+/**
+ * Error carrying an HTTP status code, thrown by helpers shared between routes
+ * so route handlers can translate it into a JSON response.
+ * Optional details add a machine-readable code and per-item errors ([{ field, message, code }]).
+ */
+class HttpError extends Error {
+  constructor(status, message, { code, errors } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,127 @@
+const sharp = require('sharp');
+const Team = require('../models/Team');
+
+const HASH_BITS = 64;
+
+// Proofs whose hashes differ in at most this many bits are reported as near-duplicates
+const NEAR_DUPLICATE_MAX_DISTANCE = parseInt(process.env.PAYMENT_PROOF_DUPLICATE_DISTANCE, 10) || 10;
+
+// Bit counts of every nibble, used for Hamming distance on hex strings
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Perceptual difference hash (dHash) of an image: the image is reduced to a 9x8 grayscale
+ * thumbnail and each bit records whether a pixel is brighter than its right neighbour, so
+ * re-encoded, resized or slightly edited copies of the same screenshot get similar hashes.
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<string>} - 64-bit hash as 16 hex characters
+ */
+async function computeDifferenceHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let row = 0; row < 8; row += 1) {
+    let byte = 0;
+    for (let column = 0; column < 8; column += 1) {
+      const index = row * 9 + column;
+      byte = (byte << 1) | (pixels[index] > pixels[index + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+/**
+ * Number of differing bits between two hex hashes of equal length
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Similarity between two hashes from 0 (unrelated) to 1 (identical)
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number}
+ */
+function hashSimilarity(a, b) {
+  return Number((1 - hammingDistance(a, b) / HASH_BITS).toFixed(3));
+}
+
+/**
+ * Compare a proof hash with every proof uploaded by other teams
+ * @param {string} hash - Hash of the new proof
+ * @param {string} teamId - Team that uploaded it (its own proofs are skipped)
+ * @returns {Promise<Array>} - [{ team, proof, similarity, distance }], most similar first
+ */
+async function findDuplicateProofs(hash, teamId) {
+  const cursor = Team.find({ _id: { $ne: teamId }, 'paymentProofs.hash': { $ne: null } })
+    .select('paymentProofs._id paymentProofs.hash')
+    .lean()
+    .cursor();
+
+  const matches = [];
+  for await (const team of cursor) {
+    team.paymentProofs.forEach((proof) => {
+      if (!proof.hash) return;
+      const distance = hammingDistance(hash, proof.hash);
+      if (distance <= NEAR_DUPLICATE_MAX_DISTANCE) {
+        matches.push({ team: team._id, proof: proof._id, similarity: hashSimilarity(hash, proof.hash), distance });
+      }
+    });
+  }
+
+  return matches.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Record duplicate matches on a new proof and, symmetrically, on the matching teams' proofs.
+ * Team.paymentDuplicateScore keeps the highest similarity so the admin listing can flag and sort.
+ * @param {Object} team - Team document with the new proof as its last payment proof (not saved)
+ * @param {Array} matches - Result of findDuplicateProofs
+ * @returns {Promise<void>}
+ */
+async function flagDuplicateProofs(team, matches) {
+  if (matches.length === 0) return;
+
+  const proof = team.paymentProofs[team.paymentProofs.length - 1];
+  proof.duplicates = matches.map(({ team: matchTeam, proof: matchProof, similarity }) => ({
+    team: matchTeam,
+    proof: matchProof,
+    similarity
+  }));
+  team.paymentDuplicateScore = Math.max(team.paymentDuplicateScore || 0, matches[0].similarity);
+
+  for (const match of matches) {
+    await Team.updateOne(
+      { _id: match.team },
+      {
+        $push: {
+          'paymentProofs.$[proof].duplicates': { team: team._id, proof: proof._id, similarity: match.similarity }
+        },
+        $max: { paymentDuplicateScore: match.similarity }
+      },
+      { arrayFilters: [{ 'proof._id': match.proof }] }
+    );
+  }
+}
+
+module.exports = {
+  computeDifferenceHash,
+  hammingDistance,
+  hashSimilarity,
+  findDuplicateProofs,
+  flagDuplicateProofs
+};
@@ -1,15 +1,11 @@
 const sharp = require('sharp');
-const cloudinary = require('cloudinary').v2;
-
-// Cloudinary configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const { computeDifferenceHash } = require('./imageHash');
+const { getStorage } = require('./storage');
+const { MAX_IMAGE_PIXELS } = require('./uploadValidation');
 
 /**
- * Compress and upload image to Cloudinary
+ * Compress and upload a payment proof image to the configured storage as a private file
+ * (readable only through signed URLs)
  * @param {Object} file - Multer file object
  * @param {string} teamId - Team ID for unique naming
  * @returns {Promise<Object>} - Upload result with URL and metadata
@@ -21,49 +17,47 @@ async function compressAndUploadImage(file, teamId) {
     const randomString = Math.random().toString(36).substring(2, 15);
     const publicId = `hackathon/payment-proofs/team-${teamId}-${timestamp}-${randomString}`;
     
-    // Compress image using Sharp
-    const compressedBuffer = await sharp(file.buffer)
-      .resize(1200, 1200, { 
-        fit: 'inside', 
-        withoutEnlargement: true 
-      })
-      .webp({ 
-        quality: 80,
-        effort: 6 
-      })
-      .toBuffer();
+    // Compress image using Sharp and hash the original for duplicate detection
+    const [compressedBuffer, hash] = await Promise.all([
+      sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+        .resize(1200, 1200, { 
+          fit: 'inside', 
+          withoutEnlargement: true 
+        })
+        .webp({ 
+          quality: 80,
+          effort: 6 
+        })
+        .toBuffer(),
+      computeDifferenceHash(file.buffer)
+    ]);
 
-    // Upload to Cloudinary
-    const uploadResult = await cloudinary.uploader.upload(
-      `data:image/webp;base64,${compressedBuffer.toString('base64')}`,
-      {
-        public_id: publicId,
-        folder: 'hackathon/payment-proofs',
-        resource_type: 'image',
-        format: 'webp',
-        quality: 'auto',
-        fetch_format: 'auto',
-        transformation: [
-          { width: 1200, height: 1200, crop: 'limit' },
-          { quality: 'auto' }
-        ],
-        tags: ['payment-proof', `team-${teamId}`],
-        context: {
-          team_id: teamId,
-          original_name: file.originalname,
-          upload_timestamp: timestamp.toString()
-        }
+    // Upload to storage
+    const uploadResult = await getStorage().upload(compressedBuffer, {
+      publicId,
+      folder: 'hackathon/payment-proofs',
+      resourceType: 'image',
+      extension: 'webp',
+      mimeType: 'image/webp',
+      access: 'private',
+      tags: ['payment-proof', `team-${teamId}`],
+      context: {
+        team_id: teamId,
+        original_name: file.originalname,
+        upload_timestamp: timestamp.toString()
       }
-    );
+    });
     
     return {
       success: true,
-      url: uploadResult.secure_url,
-      publicId: uploadResult.public_id,
+      url: uploadResult.url,
+      publicId: uploadResult.publicId,
+      access: 'private',
+      fileType: 'image',
       originalSize: file.size,
       compressedSize: uploadResult.bytes,
       compressionRatio: ((file.size - uploadResult.bytes) / file.size * 100).toFixed(2),
-      cloudinaryId: uploadResult.public_id
+      hash
     };
 
   } catch (error) {
@@ -73,35 +67,117 @@ async function compressAndUploadImage(file, teamId) {
 }
 
 /**
- * Delete image from Cloudinary
- * @param {string} publicId - Cloudinary public ID
+ * Upload a PDF payment receipt to the configured storage as a private file
+ * @param {Object} file - Multer file object (content already checked to be a PDF)
+ * @param {string} teamId - Team ID for unique naming
+ * @returns {Promise<Object>} - Upload result with public ID and metadata
+ */
+async function uploadPdfReceipt(file, teamId) {
+  try {
+    const timestamp = Date.now();
+    const randomString = Math.random().toString(36).substring(2, 15);
+    const publicId = `hackathon/payment-proofs/team-${teamId}-${timestamp}-${randomString}`;
+
+    // Stored as an image resource so Cloudinary can render page thumbnails
+    const uploadResult = await getStorage().upload(file.buffer, {
+      publicId,
+      folder: 'hackathon/payment-proofs',
+      resourceType: 'image',
+      extension: 'pdf',
+      mimeType: 'application/pdf',
+      access: 'private',
+      tags: ['payment-proof', `team-${teamId}`],
+      context: {
+        team_id: teamId,
+        original_name: file.originalname,
+        upload_timestamp: timestamp.toString()
+      }
+    });
+
+    return {
+      success: true,
+      url: uploadResult.url,
+      publicId: uploadResult.publicId,
+      access: 'private',
+      fileType: 'pdf',
+      hash: null,
+      originalSize: file.size
+    };
+  } catch (error) {
+    console.error('PDF receipt upload error:', error);
+    throw new Error('Failed to upload PDF receipt');
+  }
+}
+
+/**
+ * Upload a document (e.g. presentation deck) to the configured storage without processing.
+ * The stored extension and mime type come from the detected content, never the client's file name.
+ * @param {Object} file - Multer file object
+ * @param {string} teamId - Team ID for unique naming
+ * @param {Object} fileType - Detected file type from assertFileType ({ mime, extension })
+ * @returns {Promise<Object>} - Upload result with URL and metadata
+ */
+async function uploadDocument(file, teamId, fileType) {
+  try {
+    const timestamp = Date.now();
+    const randomString = Math.random().toString(36).substring(2, 15);
+    const publicId = `team-${teamId}-${timestamp}-${randomString}`;
+
+    const uploadResult = await getStorage().upload(file.buffer, {
+      publicId,
+      folder: 'hackathon/presentations',
+      resourceType: 'raw',
+      extension: fileType.extension,
+      mimeType: fileType.mime,
+      tags: ['presentation', `team-${teamId}`],
+      context: {
+        team_id: teamId,
+        original_name: file.originalname,
+        upload_timestamp: timestamp.toString()
+      }
+    });
+
+    return {
+      success: true,
+      url: uploadResult.url,
+      size: uploadResult.bytes,
+      publicId: uploadResult.publicId
+    };
+  } catch (error) {
+    console.error('Document upload error:', error);
+    throw new Error('Failed to upload document');
+  }
+}
+
+/**
+ * Delete an uploaded file from storage
+ * @param {string} publicId - Storage public ID
+ * @param {string} resourceType - image or raw
+ * @param {string} access - public or private
  * @returns {Promise<boolean>} - Success status
  */
-async function deleteImageFromCloudinary(publicId) {
+async function deleteUploadedFile(publicId, resourceType = 'image', access = 'public') {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
-    return result.result === 'ok';
+    return await getStorage().delete(publicId, { resourceType, access });
   } catch (error) {
-    console.error('Error deleting image from Cloudinary:', error);
+    console.error('Error deleting file from storage:', error);
     return false;
   }
 }
 
 /**
- * Extract public ID from Cloudinary URL
- * @param {string} url - Full URL from Cloudinary
+ * Extract public ID from a storage URL
+ * @param {string} url - Full URL returned by the storage
  * @returns {string} - Public ID
  */
 function extractPublicIdFromUrl(url) {
-  if (!url) return null;
-  // Extract public ID from Cloudinary URL
-  // Format: https://res.cloudinary.com/cloud_name/image/upload/v1234567890/folder/public_id.webp
-  const match = url.match(/\/upload\/.*\/(.+?)\.(webp|jpg|jpeg|png)$/);
-  return match ? match[1] : null;
+  return getStorage().extractPublicId(url);
 }
 
 module.exports = {
   compressAndUploadImage,
-  deleteImageFromCloudinary,
+  uploadPdfReceipt,
+  uploadDocument,
+  deleteUploadedFile,
   extractPublicIdFromUrl
 };
@@ -0,0 +1,175 @@
+const Team = require('../models/Team');
+const Rubric = require('../models/Rubric');
+const Score = require('../models/Score');
+const ProblemStatement = require('../models/ProblemStatement');
+const HttpError = require('./httpError');
+
+const normalise = (value) => (value || '').trim().toLowerCase();
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Whether a judge shares a university with any team member
+ * @param {Object} judge - Judge document
+ * @param {Object} team - Team with leader and members populated (university)
+ * @returns {boolean}
+ */
+function hasConflictOfInterest(judge, team) {
+  const judgeUniversity = normalise(judge.university);
+  if (!judgeUniversity) return false;
+
+  return [team.leader, ...team.members].some(
+    (user) => user && normalise(user.university) === judgeUniversity
+  );
+}
+
+/**
+ * Whether a team of the judge's event is assigned to them directly or through one of their tracks
+ * @param {Object} judge - Judge document
+ * @param {Object} team - Team with problemStatement populated
+ * @returns {boolean}
+ */
+function isAssignedToTeam(judge, team) {
+  if (!judge.event || !judge.event.equals(team.event)) return false;
+  if (judge.assignedTeams.some((teamId) => teamId.equals(team._id))) return true;
+  const track = team.problemStatement && team.problemStatement.track;
+  return Boolean(track && judge.tracks.includes(track));
+}
+
+/**
+ * Approved teams of the judge's event they may score, excluding conflicts of interest
+ * @param {Object} judge - Judge document
+ * @returns {Promise<Array>} - Team documents
+ */
+async function findJudgeableTeams(judge) {
+  const eventId = judge.event;
+  if (!eventId) return [];
+
+  const statements = await ProblemStatement.find({ event: eventId, track: { $in: judge.tracks } }).select('_id');
+
+  const teams = await Team.find({
+    event: eventId,
+    status: 'approved',
+    $or: [
+      { _id: { $in: judge.assignedTeams } },
+      { problemStatement: { $in: statements.map((statement) => statement._id) } }
+    ]
+  })
+    .populate('leader', 'name university')
+    .populate('members', 'name university')
+    .populate('problemStatement', 'title track')
+    .sort({ registrationNumber: 1 });
+
+  return teams.filter((team) => !hasConflictOfInterest(judge, team));
+}
+
+/**
+ * Active rubric of an event for a track, falling back to the event's general rubric
+ * @param {string} track - Track name
+ * @param {string} eventId - Event of the team being scored
+ * @returns {Promise<Object|null>} - Rubric document
+ */
+async function findRubricForTrack(track, eventId) {
+  if (track) {
+    const trackRubric = await Rubric.findOne({ event: eventId, track, isActive: true });
+    if (trackRubric) return trackRubric;
+  }
+  return Rubric.findOne({ event: eventId, track: null, isActive: true });
+}
+
+/**
+ * Validate criterion scores against a rubric and compute the weighted total
+ * @param {Object} rubric - Rubric document
+ * @param {Array} entries - [{ criterion, score, comment }]
+ * @returns {Object} - { criteria, total } where total is out of 100
+ */
+function calculateWeightedTotal(rubric, entries) {
+  if (!Array.isArray(entries)) {
+    throw new HttpError(400, 'Scores must be an array of criterion scores');
+  }
+
+  const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  let weighted = 0;
+
+  const criteria = rubric.criteria.map((criterion) => {
+    const entry = entries.find((item) => String(item.criterion) === String(criterion._id));
+    if (!entry || typeof entry.score !== 'number') {
+      throw new HttpError(400, `Score is required for "${criterion.name}"`);
+    }
+    if (entry.score < 0 || entry.score > criterion.maxScore) {
+      throw new HttpError(400, `Score for "${criterion.name}" must be between 0 and ${criterion.maxScore}`);
+    }
+
+    weighted += (entry.score / criterion.maxScore) * criterion.weight;
+    return { criterion: criterion._id, score: entry.score, comment: entry.comment };
+  });
+
+  return { criteria, total: round((weighted / totalWeight) * 100) };
+}
+
+/**
+ * Build the leaderboard from all score sheets. Each judge's totals are
+ * converted to z-scores so harsh and lenient judges count equally.
+ * @param {string} track - Limit to one track (overall when omitted)
+ * @param {string} eventId - Event whose teams are ranked
+ * @returns {Promise<Array>} - Ranked leaderboard entries
+ */
+async function buildLeaderboard(track, eventId) {
+  const eventTeams = await Team.distinct('_id', { event: eventId });
+  const scores = await Score.find({ team: { $in: eventTeams } }).select('judge team track total');
+
+  // Per judge mean and standard deviation
+  const judgeStats = new Map();
+  scores.forEach((score) => {
+    const key = String(score.judge);
+    const stats = judgeStats.get(key) || { totals: [] };
+    stats.totals.push(score.total);
+    judgeStats.set(key, stats);
+  });
+  judgeStats.forEach((stats) => {
+    const mean = stats.totals.reduce((sum, total) => sum + total, 0) / stats.totals.length;
+    const variance = stats.totals.reduce((sum, total) => sum + (total - mean) ** 2, 0) / stats.totals.length;
+    stats.mean = mean;
+    stats.stdDev = Math.sqrt(variance);
+  });
+
+  const byTeam = new Map();
+  scores
+    .filter((score) => !track || score.track === track)
+    .forEach((score) => {
+      const stats = judgeStats.get(String(score.judge));
+      const zScore = stats.stdDev > 0 ? (score.total - stats.mean) / stats.stdDev : 0;
+      const key = String(score.team);
+      const entry = byTeam.get(key) || { team: score.team, track: score.track, raw: [], normalized: [] };
+      entry.raw.push(score.total);
+      entry.normalized.push(zScore);
+      byTeam.set(key, entry);
+    });
+
+  const teams = await Team.find({ _id: { $in: [...byTeam.values()].map((entry) => entry.team) } })
+    .select('teamName registrationNumber')
+    .lean();
+  const teamsById = new Map(teams.map((team) => [String(team._id), team]));
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return [...byTeam.values()]
+    .filter((entry) => teamsById.has(String(entry.team)))
+    .map((entry) => ({
+      team: teamsById.get(String(entry.team)),
+      track: entry.track,
+      judgeCount: entry.raw.length,
+      averageScore: round(average(entry.raw)),
+      normalizedScore: round(average(entry.normalized), 3)
+    }))
+    .sort((a, b) => b.normalizedScore - a.normalizedScore || b.averageScore - a.averageScore)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+module.exports = {
+  hasConflictOfInterest,
+  isAssignedToTeam,
+  findJudgeableTeams,
+  findRubricForTrack,
+  calculateWeightedTotal,
+  buildLeaderboard
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Mail transports selected with MAIL_TRANSPORT (required in production):
+ * - smtp: sends through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ * - file: writes each message as JSON into MAIL_FILE_DIR (for local testing)
+ * - console: logs each message (default outside production). Messages carry verification and
+ *   reset tokens, so in production only the recipient and subject are logged.
+ */
+const transports = {
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is required for the smtp mail transport');
+    }
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return (message) => transporter.sendMail(message);
+  },
+  file: () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+    return async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}.json`;
+      await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+    };
+  },
+  console: () => async (message) => {
+    if (isProduction()) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject} (not sent, body not logged)`);
+      return;
+    }
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+let send = null;
+
+const getTransport = () => {
+  if (!send) {
+    if (!process.env.MAIL_TRANSPORT && isProduction()) {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const createTransport = transports[name];
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    send = createTransport();
+  }
+  return send;
+};
+
+/**
+ * Ensure the mail transport is configured, so a misconfigured production server fails at startup
+ * instead of on the first email
+ * @throws {Error} - When the transport is unknown or incomplete
+ */
+function assertMailConfig() {
+  getTransport();
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<boolean>} - Success status (failures are logged, not thrown)
+ */
+async function sendMail({ to, subject, text, html }) {
+  try {
+    await getTransport()({
+      from: process.env.MAIL_FROM || 'Hackathon Committee <no-reply@hackathon.local>',
+      to,
+      subject,
+      text,
+      html
+    });
+    return true;
+  } catch (error) {
+    console.error('Send mail error:', error);
+    return false;
+  }
+}
+
+/**
+ * Build a link to a page of the frontend
+ * @param {string} pagePath - Path on the frontend, e.g. /reset-password
+ * @param {Object} params - Query parameters
+ * @returns {string}
+ */
+function buildClientUrl(pagePath, params = {}) {
+  const url = new URL(pagePath, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+module.exports = {
+  assertMailConfig,
+  sendMail,
+  buildClientUrl
+};
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const TeamMembership = require('../models/TeamMembership');
+const TeammateProfile = require('../models/TeammateProfile');
+const HttpError = require('./httpError');
+const { TEAM_SIZE_LIMITS, getOpenSlots } = require('./teamRules');
+const { escapeRegex, toList } = require('./teamQuery');
+const { evaluateEligibility } = require('./eligibility');
+const { findTeamForUser } = require('./teamMembership');
+
+// Points per reason when ranking suggestions
+const MATCH_WEIGHTS = {
+  complementarySkill: 2, // Skill the other side brings that this side lacks
+  wantedSkill: 3, // Skill a team asked for
+  sharedProblemStatement: 4,
+  sameUniversity: 1
+};
+
+// Complementary skills beyond this don't add points, so long skill lists can't dominate
+const MAX_COMPLEMENTARY_SKILLS = 5;
+
+// Candidates scored per suggestion request (most recently updated first)
+const MAX_SUGGESTION_CANDIDATES = 200;
+
+// User fields shown on discovery listings (no contact details) and used by eligibility rules
+const PARTICIPANT_USER_FIELDS = 'name university course year gender';
+
+const normalizeTag = (tag) => String(tag).trim().toLowerCase();
+
+const universityKey = (university) => (university ? String(university).trim().toLowerCase() : null);
+
+/**
+ * Lowercase, trim and de-duplicate skill or interest tags
+ * @param {Array<string>} tags - Tags as entered
+ * @returns {Array<string>}
+ */
+function normalizeTags(tags = []) {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+// Teams whose member count is below the maximum for their size
+const openSlotsFilter = () => ({
+  $or: Object.entries(TEAM_SIZE_LIMITS)
+    .filter(([, limits]) => limits.max > 0)
+    .map(([teamSize, limits]) => ({ teamSize, [`members.${limits.max - 1}`]: { $exists: false } }))
+});
+
+/**
+ * Build a filter for profiles of users looking for a team in an event. Users already in a team
+ * of the event are never listed, even if they forgot to switch their profile off.
+ * @param {string} eventId - Event ID
+ * @param {Object} query - { skills, interests, problemStatement, university, search (name) }
+ * @param {string} excludeUserId - User to leave out (the one searching)
+ * @returns {Promise<Object>} - TeammateProfile filter
+ */
+async function buildParticipantFilter(eventId, query = {}, excludeUserId = null) {
+  const inTeams = await TeamMembership.distinct('user', { event: eventId });
+  const user = { $nin: excludeUserId ? [...inTeams, excludeUserId] : inTeams };
+  const filter = { event: eventId, lookingForTeam: true, user };
+
+  if (query.skills) filter.skills = { $in: normalizeTags(toList(query.skills)) };
+  if (query.interests) filter.interests = { $in: normalizeTags(toList(query.interests)) };
+  if (query.problemStatement) {
+    const ids = toList(query.problemStatement).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    filter.preferredProblemStatements = { $in: ids };
+  }
+
+  const userConditions = {};
+  if (query.university) {
+    userConditions.university = { $regex: `^${escapeRegex(query.university.trim())}$`, $options: 'i' };
+  }
+  if (query.search && query.search.trim()) {
+    userConditions.name = { $regex: escapeRegex(query.search.trim()), $options: 'i' };
+  }
+  if (Object.keys(userConditions).length > 0) {
+    user.$in = await User.find(userConditions).distinct('_id');
+  }
+
+  return filter;
+}
+
+/**
+ * Build a filter for teams of an event that are looking for members and have open slots
+ * @param {string} eventId - Event ID
+ * @param {Object} query - { skills (wanted skills), teamSize, problemStatement, search (team name) }
+ * @returns {Object} - Team filter
+ */
+function buildOpenTeamFilter(eventId, query = {}) {
+  const conditions = [
+    { event: eventId, lookingForMembers: true, status: { $ne: 'rejected' } },
+    openSlotsFilter()
+  ];
+
+  if (query.skills) conditions.push({ wantedSkills: { $in: normalizeTags(toList(query.skills)) } });
+  if (query.teamSize) conditions.push({ teamSize: { $in: toList(query.teamSize) } });
+  if (query.problemStatement) {
+    const ids = toList(query.problemStatement).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    conditions.push({ problemStatement: { $in: ids } });
+  }
+  if (query.search && query.search.trim()) {
+    conditions.push({ teamName: { $regex: escapeRegex(query.search.trim()), $options: 'i' } });
+  }
+
+  return { $and: conditions };
+}
+
+// What a user brings to a match
+const toUserSide = (user, profile) => ({
+  skills: new Set(profile ? profile.skills : []),
+  wantedSkills: new Set(),
+  problemStatements: new Set((profile ? profile.preferredProblemStatements : []).map((id) => String(id._id || id))),
+  universities: new Set([universityKey(user.university)].filter(Boolean))
+});
+
+// What a team (all its users' profiles together) brings to a match
+const toTeamSide = (team, users, profiles) => ({
+  skills: new Set(profiles.flatMap((profile) => profile.skills)),
+  wantedSkills: new Set(team.wantedSkills),
+  problemStatements: new Set(team.problemStatement ? [String(team.problemStatement._id || team.problemStatement)] : []),
+  universities: new Set(users.map((user) => universityKey(user.university)).filter(Boolean))
+});
+
+/**
+ * Score how well a candidate complements the side looking for a match
+ * @param {Object} seeker - Side looking for a match ({ skills, wantedSkills, problemStatements, universities })
+ * @param {Object} candidate - Suggested side
+ * @returns {Object} - { score, reasons: { complementarySkills, wantedSkills, sharedProblemStatements, sameUniversity } }
+ */
+function scoreMatch(seeker, candidate) {
+  const complementarySkills = [...candidate.skills].filter((skill) => !seeker.skills.has(skill));
+  const wantedSkills = [...new Set([
+    ...[...candidate.skills].filter((skill) => seeker.wantedSkills.has(skill)),
+    ...[...seeker.skills].filter((skill) => candidate.wantedSkills.has(skill))
+  ])];
+  const sharedProblemStatements = [...candidate.problemStatements].filter((id) => seeker.problemStatements.has(id));
+  const sameUniversity = [...candidate.universities].some((university) => seeker.universities.has(university));
+
+  const score = Math.min(complementarySkills.length, MAX_COMPLEMENTARY_SKILLS) * MATCH_WEIGHTS.complementarySkill
+    + wantedSkills.length * MATCH_WEIGHTS.wantedSkill
+    + sharedProblemStatements.length * MATCH_WEIGHTS.sharedProblemStatement
+    + (sameUniversity ? MATCH_WEIGHTS.sameUniversity : 0);
+
+  return { score, reasons: { complementarySkills, wantedSkills, sharedProblemStatements, sameUniversity } };
+}
+
+const byScore = (a, b) => b.score - a.score;
+
+// Leader and members of a populated team
+const teamUsers = (team) => [team.leader, ...team.members];
+
+// Whether adding a user keeps the team within the event's eligibility rules
+const fitsEligibility = (event, team, user) => {
+  if (event.eligibilityRules.length === 0) return true;
+  const report = evaluateEligibility(event, [...teamUsers(team), user], {
+    openSlots: getOpenSlots(team.teamSize, team.members.length + 1)
+  });
+  return report.rules.every((result) => result.status !== 'violated');
+};
+
+// Populate what scoring, eligibility and the listings need
+const populateProfile = (query) => query
+  .populate('user', PARTICIPANT_USER_FIELDS)
+  .populate('preferredProblemStatements', 'title track');
+
+const populateTeam = (query) => query
+  .populate('leader', PARTICIPANT_USER_FIELDS)
+  .populate('members', PARTICIPANT_USER_FIELDS)
+  .populate('problemStatement', 'title track');
+
+/**
+ * Load available participants of an event for listings and suggestions
+ * @param {Object} filter - Result of buildParticipantFilter
+ * @param {Object} options - { skip, limit }
+ * @returns {Promise<Array>} - TeammateProfile documents with user and problem statements populated
+ */
+function findParticipants(filter, { skip = 0, limit = MAX_SUGGESTION_CANDIDATES } = {}) {
+  return populateProfile(TeammateProfile.find(filter)).sort({ updatedAt: -1, _id: 1 }).skip(skip).limit(limit);
+}
+
+/**
+ * Load teams looking for members for listings and suggestions
+ * @param {Object} filter - Result of buildOpenTeamFilter
+ * @param {Object} options - { skip, limit }
+ * @returns {Promise<Array>} - Team documents with users and problem statement populated
+ */
+function findOpenTeams(filter, { skip = 0, limit = MAX_SUGGESTION_CANDIDATES } = {}) {
+  return populateTeam(Team.find(filter)).sort({ updatedAt: -1, _id: 1 }).skip(skip).limit(limit);
+}
+
+// Sides of teams, built from the profiles their users filled in before joining (one query for all teams)
+const loadTeamSides = async (teams, eventId) => {
+  const userIds = teams.flatMap((team) => teamUsers(team).map((user) => user._id));
+  const profiles = await TeammateProfile.find({ event: eventId, user: { $in: userIds } }).lean();
+  const profilesByUser = new Map(profiles.map((profile) => [String(profile.user), profile]));
+
+  return teams.map((team) => {
+    const users = teamUsers(team);
+    const teamProfiles = users.map((user) => profilesByUser.get(String(user._id))).filter(Boolean);
+    return toTeamSide(team, users, teamProfiles);
+  });
+};
+
+/**
+ * Suggest compatible matches for a user. A user without a team gets teams to join and other
+ * participants to team up with; a user whose team has open slots gets participants to invite.
+ * Candidates who would break the event's eligibility rules are left out.
+ * @param {Object} user - Current user
+ * @param {Object} event - Event document
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { team (own team or null), teams: [{ team, score, reasons }],
+ *   participants: [{ profile, score, reasons }] }
+ */
+async function getSuggestions(user, event, { limit = 10 } = {}) {
+  const team = await populateTeam(findTeamForUser(user._id, event._id));
+  const participantFilter = await buildParticipantFilter(event._id, {}, user._id);
+
+  if (team) {
+    if (getOpenSlots(team.teamSize, team.members.length) === 0) {
+      throw new HttpError(400, 'Your team has no open slots');
+    }
+
+    const [seeker] = await loadTeamSides([team], event._id);
+    const profiles = await findParticipants(participantFilter);
+    const participants = profiles
+      .filter((profile) => profile.user && fitsEligibility(event, team, profile.user))
+      .map((profile) => ({ profile, ...scoreMatch(seeker, toUserSide(profile.user, profile)) }))
+      .sort(byScore)
+      .slice(0, limit);
+
+    return { team, teams: [], participants };
+  }
+
+  const profile = await TeammateProfile.findOne({ event: event._id, user: user._id });
+  const seeker = toUserSide(user, profile);
+
+  const openTeams = (await findOpenTeams(buildOpenTeamFilter(event._id)))
+    .filter((candidate) => fitsEligibility(event, candidate, user));
+  const sides = await loadTeamSides(openTeams, event._id);
+  const teams = openTeams.map((candidate, index) => ({ team: candidate, ...scoreMatch(seeker, sides[index]) }));
+
+  const profiles = await findParticipants(participantFilter);
+  const participants = profiles
+    .filter((candidate) => candidate.user)
+    .map((candidate) => ({ profile: candidate, ...scoreMatch(seeker, toUserSide(candidate.user, candidate)) }));
+
+  return {
+    team: null,
+    teams: teams.sort(byScore).slice(0, limit),
+    participants: participants.sort(byScore).slice(0, limit)
+  };
+}
+
+module.exports = {
+  MATCH_WEIGHTS,
+  normalizeTags,
+  buildParticipantFilter,
+  buildOpenTeamFilter,
+  findParticipants,
+  findOpenTeams,
+  scoreMatch,
+  getSuggestions
+};
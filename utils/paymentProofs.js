@@ -0,0 +1,51 @@
+const { getStorage } = require('./storage');
+
+// Lifetime of signed payment proof URLs
+const PROOF_URL_TTL_SECONDS = parseInt(process.env.PAYMENT_PROOF_URL_TTL, 10) || 300;
+
+/**
+ * Find a payment proof of a team
+ * @param {Object} team - Team document
+ * @param {string} proofId - Proof ID, or "latest" for the most recent upload
+ * @returns {Object|null} - Proof, including screenshots uploaded before proof history existed
+ */
+function findPaymentProof(team, proofId) {
+  if (proofId === 'latest') {
+    if (team.paymentProofs.length > 0) return team.paymentProofs[team.paymentProofs.length - 1];
+    return team.paymentScreenshotCloudinaryId
+      ? { publicId: team.paymentScreenshotCloudinaryId, access: 'public' }
+      : null;
+  }
+  return team.paymentProofs.find((proof) => proof._id.toString() === String(proofId)) || null;
+}
+
+/**
+ * Issue a short-lived signed URL for a payment proof, plus a rendered first page for PDF receipts
+ * @param {Object} proof - Payment proof from findPaymentProof
+ * @returns {Object} - { url, expiresAt, fileType, thumbnailUrl }
+ */
+function createPaymentProofUrl(proof) {
+  const storage = getStorage();
+  const fileType = proof.fileType || 'image';
+  const url = storage.getSignedUrl(proof.publicId, {
+    resourceType: 'image',
+    extension: fileType === 'pdf' ? 'pdf' : 'webp',
+    access: proof.access,
+    expiresIn: PROOF_URL_TTL_SECONDS
+  });
+
+  return {
+    url,
+    expiresAt: new Date(Date.now() + PROOF_URL_TTL_SECONDS * 1000),
+    fileType,
+    // null when the storage driver cannot render PDFs (e.g. local disk)
+    thumbnailUrl: fileType === 'pdf'
+      ? storage.getThumbnailUrl(proof.publicId, { access: proof.access, expiresIn: PROOF_URL_TTL_SECONDS })
+      : null
+  };
+}
+
+module.exports = {
+  findPaymentProof,
+  createPaymentProofUrl
+};
@@ -0,0 +1,274 @@
+const Payment = require('../../models/Payment');
+const Team = require('../../models/Team');
+const HttpError = require('../httpError');
+const { getEventForTeam } = require('../events');
+const { changePaymentStatus } = require('../teamStatus');
+const { toAuditSnapshot } = require('../auditLog');
+
+/**
+ * Payment providers selected with PAYMENT_PROVIDER (default mock, which production refuses).
+ * Each provider names the environment variable holding its webhook secret (webhookSecretVariable)
+ * and implements:
+ * - createOrder({ amount, currency, receipt, notes }) -> { orderId, amount, currency, checkout }
+ * - verifyWebhookSignature(rawBody, signature) -> boolean, signature read from signatureHeader
+ * - parseWebhookEvent(body) -> { type, orderId, transactionId, amount, refundId, reason }
+ * - refund({ transactionId, amount, notes }) -> { refundId, amount, status }
+ */
+const providers = {
+  mock: () => require('./mockProvider'),
+  razorpay: () => require('./razorpayProvider')
+};
+
+/**
+ * Get the configured payment provider
+ * @returns {Object} - Payment provider
+ */
+function getPaymentProvider() {
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  const loadProvider = providers[name];
+  if (!loadProvider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return loadProvider();
+}
+
+/**
+ * Whether the provider can verify webhooks (its webhook secret is set)
+ * @param {Object} provider - Payment provider
+ * @returns {boolean}
+ */
+function isWebhookConfigured(provider) {
+  return Boolean(process.env[provider.webhookSecretVariable]);
+}
+
+/**
+ * Ensure production runs a real payment provider with its webhook secret, so the server refuses
+ * to start rather than accept payments it can't verify
+ * @throws {Error} - When the provider is unknown, or is mock or lacks its secret in production
+ */
+function assertPaymentConfig() {
+  const provider = getPaymentProvider();
+  if (process.env.NODE_ENV !== 'production') return;
+
+  if (provider.name === 'mock') {
+    throw new Error('PAYMENT_PROVIDER must be set to a real payment provider in production');
+  }
+  if (!isWebhookConfigured(provider)) {
+    throw new Error(`${provider.webhookSecretVariable} must be set in production`);
+  }
+}
+
+/**
+ * Create a gateway order for a team's registration fee, reusing an open order for the same amount
+ * @param {Object} team - Team document
+ * @param {Object} user - User creating the order
+ * @returns {Promise<Object>} - { payment, checkout }
+ */
+async function createTeamOrder(team, user) {
+  if (team.paymentStatus === 'verified') {
+    throw new HttpError(400, 'Payment has already been verified for this team');
+  }
+  if (team.waitlisted) {
+    throw new HttpError(400, 'Your team is on the waitlist. Payment opens once a slot frees up');
+  }
+
+  const event = await getEventForTeam(team);
+  const amount = event.getRegistrationFee(team.teamSize);
+  if (!amount) {
+    throw new HttpError(400, 'No registration fee is configured for this team');
+  }
+
+  const provider = getPaymentProvider();
+  const existing = await Payment.findOne({
+    team: team._id,
+    provider: provider.name,
+    status: 'created',
+    amount,
+    currency: event.paymentCurrency
+  }).sort({ createdAt: -1 });
+
+  if (existing) {
+    return { payment: existing, checkout: { provider: provider.name, orderId: existing.orderId }, reused: true };
+  }
+
+  const order = await provider.createOrder({
+    amount,
+    currency: event.paymentCurrency,
+    receipt: team.registrationNumber,
+    notes: { teamId: team._id.toString() }
+  });
+
+  const payment = await Payment.create({
+    event: team.event,
+    team: team._id,
+    createdBy: user._id,
+    provider: provider.name,
+    orderId: order.orderId,
+    amount: order.amount,
+    currency: order.currency
+  });
+
+  return { payment, checkout: order.checkout, reused: false };
+}
+
+// Record a refund on a payment and update its status (payment not saved)
+const applyRefund = (payment, { refundId, amount, status, reason, refundedBy = null }) => {
+  const existing = payment.refunds.find((refund) => refund.refundId === refundId);
+  if (existing) {
+    existing.status = status;
+  } else {
+    payment.refunds.push({ refundId, amount, status, reason, refundedBy });
+  }
+
+  payment.amountRefunded = payment.refunds
+    .filter((refund) => refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.amount, 0);
+
+  if (payment.amountRefunded >= payment.amount) {
+    payment.status = 'refunded';
+  } else if (payment.amountRefunded > 0) {
+    payment.status = 'partially-refunded';
+  } else if (payment.status === 'partially-refunded') {
+    payment.status = 'paid';
+  }
+};
+
+// Put a team back to pending payment once none of its gateway payments are paid any more
+const releaseTeamPayment = async (payment) => {
+  if (payment.status !== 'refunded') return null;
+
+  const team = await Team.findById(payment.team);
+  if (!team || team.paymentStatus !== 'verified') return null;
+
+  const otherPaid = await Payment.exists({
+    team: team._id,
+    _id: { $ne: payment._id },
+    status: { $in: ['paid', 'partially-refunded'] }
+  });
+  if (otherPaid) return null;
+
+  const before = toAuditSnapshot(team);
+  await changePaymentStatus(team, 'pending');
+  await team.save();
+  return { team, before };
+};
+
+/**
+ * Apply a verified webhook event. Events are idempotent, so gateway retries are safe.
+ * @param {Object} event - Parsed event from provider.parseWebhookEvent
+ * @returns {Promise<Object|null>} - { payment, paymentBefore, team, teamBefore } or null when ignored
+ */
+async function handlePaymentEvent(event) {
+  if (!event.type) return null;
+
+  const payment = event.orderId
+    ? await Payment.findOne({ orderId: event.orderId })
+    : await Payment.findOne({ transactionId: event.transactionId });
+  if (!payment) return null;
+
+  const paymentBefore = toAuditSnapshot(payment);
+  let teamChange = null;
+
+  switch (event.type) {
+    case 'payment.captured': {
+      if (!['created', 'failed'].includes(payment.status)) return null;
+
+      payment.transactionId = event.transactionId;
+      if (Number(event.amount) < payment.amount) {
+        payment.status = 'failed';
+        payment.failureReason = `Captured amount ${event.amount} is less than the fee ${payment.amount}`;
+        break;
+      }
+
+      payment.status = 'paid';
+      payment.paidAt = new Date();
+      payment.failureReason = null;
+
+      const team = await Team.findById(payment.team);
+      if (team && team.paymentStatus !== 'verified') {
+        const before = toAuditSnapshot(team);
+        await changePaymentStatus(team, 'verified');
+        await team.save();
+        teamChange = { team, before };
+      }
+      break;
+    }
+    case 'payment.failed':
+      if (payment.status !== 'created') return null;
+      payment.status = 'failed';
+      payment.transactionId = event.transactionId;
+      payment.failureReason = event.reason || 'Payment failed';
+      break;
+    case 'refund.processed':
+    case 'refund.failed':
+      if (!event.refundId) return null;
+      applyRefund(payment, {
+        refundId: event.refundId,
+        amount: Number(event.amount),
+        status: event.type === 'refund.processed' ? 'processed' : 'failed'
+      });
+      teamChange = await releaseTeamPayment(payment);
+      break;
+    default:
+      return null;
+  }
+
+  await payment.save();
+
+  return {
+    payment,
+    paymentBefore,
+    team: teamChange ? teamChange.team : null,
+    teamBefore: teamChange ? teamChange.before : null
+  };
+}
+
+/**
+ * Refund a captured payment through its provider
+ * @param {Object} payment - Payment document
+ * @param {Object} options - { amount (defaults to the refundable amount), reason, refundedBy }
+ * @returns {Promise<Object>} - { payment, refund, team, teamBefore }
+ */
+async function refundPayment(payment, { amount, reason, refundedBy }) {
+  const refundable = payment.getRefundableAmount();
+  if (refundable <= 0) {
+    throw new HttpError(400, 'This payment has nothing left to refund');
+  }
+
+  const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw new HttpError(400, `Refund amount must be a whole number between 1 and ${refundable}`);
+  }
+
+  const provider = getPaymentProvider();
+  if (provider.name !== payment.provider) {
+    throw new HttpError(400, `Payment was made through ${payment.provider}, which is not the active provider`);
+  }
+
+  const refund = await provider.refund({
+    transactionId: payment.transactionId,
+    amount: refundAmount,
+    notes: { reason }
+  });
+
+  applyRefund(payment, { ...refund, reason, refundedBy });
+  await payment.save();
+
+  const teamChange = await releaseTeamPayment(payment);
+
+  return {
+    payment,
+    refund,
+    team: teamChange ? teamChange.team : null,
+    teamBefore: teamChange ? teamChange.before : null
+  };
+}
+
+module.exports = {
+  getPaymentProvider,
+  isWebhookConfigured,
+  assertPaymentConfig,
+  createTeamOrder,
+  handlePaymentEvent,
+  refundPayment
+};
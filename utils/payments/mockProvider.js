@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+const generateId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Sign a raw webhook body the same way the mock gateway does
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} - Hex HMAC-SHA256 signature
+ */
+function signWebhook(rawBody) {
+  if (!getWebhookSecret()) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is required to sign mock webhooks');
+  }
+  return crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+}
+
+/**
+ * Local payment provider for development and testing. Orders are never charged;
+ * payments are completed by posting a webhook signed with PAYMENT_WEBHOOK_SECRET (see buildWebhook).
+ */
+module.exports = {
+  name: 'mock',
+  signatureHeader: 'x-mock-signature',
+  webhookSecretVariable: 'PAYMENT_WEBHOOK_SECRET',
+
+  async createOrder({ amount, currency, receipt }) {
+    return {
+      orderId: generateId('order'),
+      amount,
+      currency,
+      checkout: { provider: 'mock', receipt }
+    };
+  },
+
+  verifyWebhookSignature(rawBody, signature) {
+    if (!rawBody || typeof signature !== 'string' || !getWebhookSecret()) return false;
+    const expected = Buffer.from(signWebhook(rawBody));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  // Webhook body: { event, orderId, transactionId, amount, refundId, reason }
+  parseWebhookEvent(body) {
+    const types = {
+      'payment.captured': 'payment.captured',
+      'payment.failed': 'payment.failed',
+      'refund.processed': 'refund.processed',
+      'refund.failed': 'refund.failed'
+    };
+    return {
+      type: types[body.event] || null,
+      orderId: body.orderId || null,
+      transactionId: body.transactionId || null,
+      amount: body.amount,
+      refundId: body.refundId || null,
+      reason: body.reason || null
+    };
+  },
+
+  async refund({ amount }) {
+    return { refundId: generateId('rfnd'), amount, status: 'processed' };
+  },
+
+  /**
+   * Build a signed webhook as the mock gateway would send it
+   * @param {Object} event - { event, orderId, transactionId, amount, refundId, reason }
+   * @returns {Object} - { rawBody, signature, body }
+   */
+  buildWebhook(event) {
+    const body = {
+      transactionId: event.event === 'payment.captured' ? generateId('pay') : undefined,
+      ...event
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { rawBody, signature: signWebhook(rawBody), body };
+  }
+};
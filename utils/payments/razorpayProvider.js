@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+// Call the Razorpay REST API with basic auth (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET)
+const request = async (method, path, body) => {
+  const credentials = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const description = data.error && data.error.description;
+    throw new Error(`Razorpay ${method} ${path} failed: ${description || response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Razorpay payment provider. Webhooks must be configured in the Razorpay dashboard
+ * with RAZORPAY_WEBHOOK_SECRET for payment.captured, payment.failed and refund events.
+ */
+module.exports = {
+  name: 'razorpay',
+  signatureHeader: 'x-razorpay-signature',
+  webhookSecretVariable: 'RAZORPAY_WEBHOOK_SECRET',
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    const order = await request('POST', '/orders', { amount, currency, receipt, notes });
+    return {
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      checkout: { provider: 'razorpay', keyId: process.env.RAZORPAY_KEY_ID, orderId: order.id }
+    };
+  },
+
+  verifyWebhookSignature(rawBody, signature) {
+    if (!rawBody || typeof signature !== 'string' || !process.env.RAZORPAY_WEBHOOK_SECRET) return false;
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(rawBody).digest('hex')
+    );
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  parseWebhookEvent(body) {
+    const payload = body.payload || {};
+    const payment = payload.payment ? payload.payment.entity : null;
+    const refund = payload.refund ? payload.refund.entity : null;
+
+    switch (body.event) {
+      case 'payment.captured':
+      case 'payment.failed':
+        return {
+          type: body.event,
+          orderId: payment.order_id,
+          transactionId: payment.id,
+          amount: payment.amount,
+          reason: payment.error_description || null
+        };
+      case 'refund.processed':
+      case 'refund.failed':
+        return {
+          type: body.event,
+          orderId: payment ? payment.order_id : null,
+          transactionId: refund.payment_id,
+          amount: refund.amount,
+          refundId: refund.id
+        };
+      default:
+        return { type: null };
+    }
+  },
+
+  async refund({ transactionId, amount, notes }) {
+    const refund = await request('POST', `/payments/${transactionId}/refund`, { amount, notes });
+    return { refundId: refund.id, amount: refund.amount, status: refund.status === 'processed' ? 'processed' : 'pending' };
+  }
+};
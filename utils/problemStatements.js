@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const ProblemStatement = require('../models/ProblemStatement');
+const HttpError = require('./httpError');
+
+// Teams in these states don't hold a slot on a problem statement
+const RELEASED_TEAM_STATUSES = ['rejected'];
+
+/**
+ * Count teams holding a slot on each problem statement
+ * @param {Array<string>} ids - Problem statement IDs (all when omitted)
+ * @returns {Promise<Map>} - Map of problem statement ID to team count
+ */
+async function countTeamsByProblemStatement(ids) {
+  const match = { status: { $nin: RELEASED_TEAM_STATUSES } };
+  if (ids) {
+    match.problemStatement = { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const counts = await Team.aggregate([
+    { $match: match },
+    { $group: { _id: '$problemStatement', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map((entry) => [String(entry._id), entry.count]));
+}
+
+/**
+ * Remaining team slots for a problem statement
+ * @param {Object} statement - Problem statement document
+ * @param {number} teamCount - Teams currently holding a slot
+ * @returns {number|null} - Remaining slots, null when unlimited
+ */
+function getRemainingSlots(statement, teamCount) {
+  if (!statement.maxTeams) return null;
+  return Math.max(statement.maxTeams - teamCount, 0);
+}
+
+/**
+ * Ensure a problem statement of the event exists, is active and has room for another team
+ * @param {string} problemStatementId - Problem statement ID
+ * @param {string} eventId - Event the team belongs to
+ * @param {string} excludeTeamId - Team to ignore when counting (for edits)
+ * @returns {Promise<Object>} - Problem statement document
+ */
+async function assertProblemStatementAvailable(problemStatementId, eventId, excludeTeamId = null) {
+  if (!problemStatementId || !mongoose.Types.ObjectId.isValid(problemStatementId)) {
+    throw new HttpError(400, 'A valid problem statement is required');
+  }
+
+  const statement = await ProblemStatement.findOne({ _id: problemStatementId, event: eventId });
+  if (!statement) {
+    throw new HttpError(400, 'Problem statement not found');
+  }
+
+  if (!statement.isActive) {
+    throw new HttpError(400, 'This problem statement is no longer accepting teams');
+  }
+
+  if (statement.maxTeams) {
+    const filter = {
+      problemStatement: statement._id,
+      status: { $nin: RELEASED_TEAM_STATUSES }
+    };
+    if (excludeTeamId) filter._id = { $ne: excludeTeamId };
+
+    const teamCount = await Team.countDocuments(filter);
+    if (teamCount >= statement.maxTeams) {
+      throw new HttpError(400, 'This problem statement has reached its maximum number of teams');
+    }
+  }
+
+  return statement;
+}
+
+module.exports = {
+  countTeamsByProblemStatement,
+  getRemainingSlots,
+  assertProblemStatementAvailable
+};
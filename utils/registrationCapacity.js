@@ -0,0 +1,234 @@
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const HttpError = require('./httpError');
+const { recordAudit } = require('./auditLog');
+const { sendWaitlistPromotionEmail } = require('./emails');
+const { getEventForTeam } = require('./events');
+
+// Teams in these states don't hold a registration slot
+const RELEASED_TEAM_STATUSES = ['rejected'];
+
+const universityKey = (university) => (university ? String(university).trim().toLowerCase() : null);
+
+// Count the users per university (users without one are not capped)
+const countByUniversity = (users, counts = new Map()) => {
+  users.forEach((user) => {
+    const key = universityKey(user.university);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Teams, participants and participants per university holding a slot in an event
+ * @param {Object} event - Event document
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - { teams, participants, byUniversity (Map of university to count) }
+ */
+async function getCapacityUsage(event, { session = null } = {}) {
+  const teams = await Team.find({
+    event: event._id,
+    waitlisted: { $ne: true },
+    status: { $nin: RELEASED_TEAM_STATUSES }
+  })
+    .select('leader members')
+    .session(session)
+    .lean();
+
+  const userIds = teams.flatMap((team) => [team.leader, ...team.members]);
+  let byUniversity = new Map();
+  if (event.maxParticipantsPerUniversity) {
+    const users = await User.find({ _id: { $in: userIds } }).select('university').session(session).lean();
+    byUniversity = countByUniversity(users);
+  }
+
+  return { teams: teams.length, participants: userIds.length, byUniversity };
+}
+
+/**
+ * Why adding users (and possibly a new team) would exceed the event's caps
+ * @param {Object} event - Event document
+ * @param {Object} usage - Result of getCapacityUsage
+ * @param {Array} users - Users to add ({ university })
+ * @param {boolean} newTeam - Whether the users bring a new team
+ * @returns {string|null} - Reason, or null when they fit
+ */
+function findCapacityIssue(event, usage, users, newTeam) {
+  if (newTeam && event.maxTeams && usage.teams + 1 > event.maxTeams) {
+    return 'The event has reached its maximum number of teams';
+  }
+  if (event.maxParticipants && usage.participants + users.length > event.maxParticipants) {
+    return 'The event has reached its maximum number of participants';
+  }
+  if (event.maxParticipantsPerUniversity) {
+    for (const [key, count] of countByUniversity(users)) {
+      if ((usage.byUniversity.get(key) || 0) + count > event.maxParticipantsPerUniversity) {
+        return 'The event has reached its participant limit for your university';
+      }
+    }
+  }
+  return null;
+}
+
+// Record users (and a team) as holding slots so later checks in the same pass see them
+const addToUsage = (usage, users, newTeam) => {
+  if (newTeam) usage.teams += 1;
+  usage.participants += users.length;
+  countByUniversity(users, usage.byUniversity);
+};
+
+/**
+ * Waitlist a new team when the event is full, or refuse it when the waitlist is disabled.
+ * Run inside the registration transaction so concurrent registrations see each other.
+ * @param {Object} team - New team document (not saved)
+ * @param {Object} event - Event document
+ * @param {Object} leader - Registering user
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - Team document
+ */
+async function placeNewTeam(team, event, leader, { session = null } = {}) {
+  if (!event.hasCapacityLimits()) return team;
+
+  const usage = await getCapacityUsage(event, { session });
+  const issue = findCapacityIssue(event, usage, [leader], true);
+  if (issue) {
+    if (!event.waitlistEnabled) {
+      throw new HttpError(409, issue);
+    }
+    team.waitlisted = true;
+    team.waitlistedAt = new Date();
+  }
+  return team;
+}
+
+/**
+ * A rejected team moved back to pending or approved needs its slot again: waitlist it when the
+ * event is full, or refuse the change when the waitlist is disabled or the team is being
+ * approved (waitlisted teams can't be approved). Teams that were already waitlisted keep their place.
+ * @param {Object} team - Team document with the new status applied (not saved)
+ * @param {string} previousStatus - Status before the change
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - Team document
+ */
+async function placeRestoredTeam(team, previousStatus, { session = null } = {}) {
+  const restored = RELEASED_TEAM_STATUSES.includes(previousStatus) && !RELEASED_TEAM_STATUSES.includes(team.status);
+  if (!restored || team.waitlisted) return team;
+
+  const event = await getEventForTeam(team);
+  if (!event.hasCapacityLimits()) return team;
+
+  // The team is still saved as rejected, so the usage doesn't count it yet
+  const usage = await getCapacityUsage(event, { session });
+  const users = await User.find({ _id: { $in: [team.leader, ...team.members] } })
+    .select('university')
+    .session(session)
+    .lean();
+  const issue = findCapacityIssue(event, usage, users, true);
+  if (issue) {
+    if (!event.waitlistEnabled || team.status === 'approved') {
+      throw new HttpError(409, issue);
+    }
+    team.waitlisted = true;
+    team.waitlistedAt = new Date();
+  }
+  return team;
+}
+
+/**
+ * Ensure a user can join a team without exceeding the event's participant caps.
+ * Waitlisted teams are checked as a whole when they are promoted.
+ * @param {Object} team - Team document
+ * @param {string} userId - Joining user
+ * @param {Object} options - { session }
+ * @returns {Promise<void>}
+ */
+async function assertSeatAvailable(team, userId, { session = null } = {}) {
+  if (team.waitlisted) return;
+
+  const event = await getEventForTeam(team);
+  if (!event.maxParticipants && !event.maxParticipantsPerUniversity) return;
+
+  const usage = await getCapacityUsage(event, { session });
+  const user = await User.findById(userId).select('university').session(session).lean();
+  const issue = findCapacityIssue(event, usage, [user], false);
+  if (issue) {
+    throw new HttpError(409, issue);
+  }
+}
+
+/**
+ * 1-based position of a team on its event's waitlist
+ * @param {Object} team - Team document
+ * @returns {Promise<number|null>} - Position, null when the team is not waitlisted
+ */
+async function getWaitlistPosition(team) {
+  if (!team.waitlisted) return null;
+
+  const ahead = await Team.countDocuments({
+    event: team.event,
+    waitlisted: true,
+    status: { $nin: RELEASED_TEAM_STATUSES },
+    $or: [
+      { waitlistedAt: { $lt: team.waitlistedAt } },
+      { waitlistedAt: team.waitlistedAt, _id: { $lt: team._id } }
+    ]
+  });
+  return ahead + 1;
+}
+
+/**
+ * Promote waitlisted teams in order while they fit the event's caps. Promotion stops at the
+ * first team that doesn't fit so later (smaller) teams can't jump the queue.
+ * Call after anything that frees capacity: rejections, members leaving, disbanding, raised caps.
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} - Promoted team documents
+ */
+async function promoteWaitlistedTeams(eventId) {
+  const event = await Event.findById(eventId);
+  if (!event) return [];
+
+  const waitlist = await Team.find({ event: event._id, waitlisted: true, status: { $nin: RELEASED_TEAM_STATUSES } })
+    .populate('leader', 'name email university')
+    .populate('members', 'name email university')
+    .sort({ waitlistedAt: 1, _id: 1 });
+  if (waitlist.length === 0) return [];
+
+  const usage = await getCapacityUsage(event);
+  const promoted = [];
+
+  for (const team of waitlist) {
+    const users = [team.leader, ...team.members];
+    if (findCapacityIssue(event, usage, users, true)) break;
+
+    const updated = await Team.findOneAndUpdate(
+      { _id: team._id, waitlisted: true },
+      { waitlisted: false, promotedFromWaitlistAt: new Date() },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    addToUsage(usage, users, true);
+    promoted.push(updated);
+
+    await recordAudit(null, {
+      action: 'team.waitlist.promote',
+      targetType: 'Team',
+      targetId: team._id,
+      metadata: { event: event._id, waitlistedAt: team.waitlistedAt }
+    });
+    await sendWaitlistPromotionEmail(users, team);
+  }
+
+  return promoted;
+}
+
+module.exports = {
+  getCapacityUsage,
+  findCapacityIssue,
+  placeNewTeam,
+  placeRestoredTeam,
+  assertSeatAvailable,
+  getWaitlistPosition,
+  promoteWaitlistedTeams
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const HttpError = require('./httpError');
+
+// JWT claim holding the account ID, kept from the original long-lived tokens
+const ID_CLAIMS = {
+  User: 'userId',
+  Admin: 'adminId',
+  Judge: 'judgeId'
+};
+
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a short-lived access token bound to a session
+ * @param {Object} account - User, Admin or Judge document
+ * @param {string} accountType - User, Admin or Judge
+ * @param {Object} session - Session document
+ * @param {Object} extraClaims - Additional JWT claims
+ * @returns {string} - Signed JWT
+ */
+function issueAccessToken(account, accountType, session, extraClaims = {}) {
+  return jwt.sign(
+    {
+      ...extraClaims,
+      [ID_CLAIMS[accountType]]: account._id,
+      sessionId: session._id,
+      tokenVersion: account.tokenVersion || 0
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
+  );
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so a reused token can be traced to its session
+const generateRefreshToken = (session) => `${session._id}.${crypto.randomBytes(40).toString('hex')}`;
+
+/**
+ * Start a new session and issue its first token pair
+ * @param {Object} account - User, Admin or Judge document
+ * @param {string} accountType - User, Admin or Judge
+ * @param {Object} req - Express request (for user agent and IP)
+ * @param {Object} extraClaims - Additional access token claims
+ * @returns {Promise<Object>} - { token, refreshToken, session }
+ */
+async function createSession(account, accountType, req, extraClaims) {
+  const session = new Session({
+    accountType,
+    account: account._id,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  const refreshToken = generateRefreshToken(session);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: issueAccessToken(account, accountType, session, extraClaims),
+    refreshToken,
+    session
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair. Presenting an already
+ * rotated refresh token revokes the whole session (token theft).
+ * @param {string} refreshToken - Refresh token
+ * @param {string} accountType - Expected account type
+ * @param {Function} loadAccount - async (accountId) => account document or null
+ * @param {Function} getClaims - Optional (account) => additional access token claims
+ * @returns {Promise<Object>} - { token, refreshToken, session, account }
+ */
+async function rotateSession(refreshToken, accountType, loadAccount, getClaims) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.accountType !== accountType || !session.isActive()) {
+    throw new HttpError(401, 'Session has expired or was revoked');
+  }
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'refresh-token-reuse';
+    await session.save();
+    throw new HttpError(401, 'Session has expired or was revoked');
+  }
+
+  const account = await loadAccount(session.account);
+  if (!account) {
+    throw new HttpError(401, 'Session has expired or was revoked');
+  }
+
+  const nextRefreshToken = generateRefreshToken(session);
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return {
+    token: issueAccessToken(account, accountType, session, getClaims ? getClaims(account) : {}),
+    refreshToken: nextRefreshToken,
+    session,
+    account
+  };
+}
+
+/**
+ * Verify an access token and check its session and token version are still valid
+ * @param {string} token - Access token
+ * @param {string} accountType - User, Admin or Judge
+ * @param {Function} loadAccount - async (accountId) => account document or null
+ * @returns {Promise<Object>} - { account, sessionId }
+ */
+async function verifyAccessToken(token, accountType, loadAccount) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const accountId = decoded[ID_CLAIMS[accountType]];
+  if (!accountId || !decoded.sessionId) {
+    throw new HttpError(401, 'Token is not valid');
+  }
+
+  const [account, session] = await Promise.all([
+    loadAccount(accountId),
+    Session.findById(decoded.sessionId).select('account revokedAt expiresAt')
+  ]);
+
+  if (!account || (account.tokenVersion || 0) !== decoded.tokenVersion) {
+    throw new HttpError(401, 'Token is not valid');
+  }
+  if (!session || !session.account.equals(account._id) || !session.isActive()) {
+    throw new HttpError(401, 'Session has expired or was revoked');
+  }
+
+  return { account, sessionId: session._id };
+}
+
+/**
+ * Revoke one session of an account
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+async function revokeSession(accountType, accountId, sessionId, reason = 'logout') {
+  const result = await Session.updateOne(
+    { _id: sessionId, accountType, account: accountId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of an account, optionally keeping one
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeAllSessions(accountType, accountId, reason, exceptSessionId = null) {
+  const filter = { accountType, account: accountId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+}
+
+/**
+ * List active sessions of an account
+ * @param {string} currentSessionId - Session making the request (flagged in the result)
+ * @returns {Promise<Array>}
+ */
+async function listSessions(accountType, accountId, currentSessionId) {
+  const sessions = await Session.find({
+    accountType,
+    account: accountId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  return sessions.map((session) => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: Boolean(currentSessionId && session._id.equals(currentSessionId))
+  }));
+}
+
+module.exports = {
+  issueAccessToken,
+  createSession,
+  rotateSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,86 @@
+const cloudinary = require('cloudinary').v2;
+
+// Cloudinary configuration
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Private files are stored as authenticated assets that need a signed URL
+const toDeliveryType = (access) => (access === 'private' ? 'authenticated' : 'upload');
+
+/**
+ * Cloudinary storage driver. Images keep Cloudinary's delivery optimisations;
+ * other files are stored as raw assets (the extension is part of the public ID).
+ */
+module.exports = {
+  name: 'cloudinary',
+
+  async upload(buffer, { folder, publicId, resourceType = 'image', extension, mimeType, access = 'public', tags = [], context = {} }) {
+    const options = {
+      public_id: resourceType === 'raw' && extension ? `${publicId}.${extension}` : publicId,
+      folder,
+      resource_type: resourceType,
+      type: toDeliveryType(access),
+      tags,
+      context
+    };
+
+    // PDFs are image resources too (for page rendering) but are stored untouched
+    if (resourceType === 'image' && extension !== 'pdf') {
+      Object.assign(options, {
+        format: extension,
+        quality: 'auto',
+        fetch_format: 'auto',
+        transformation: [
+          { width: 1200, height: 1200, crop: 'limit' },
+          { quality: 'auto' }
+        ]
+      });
+    }
+
+    const result = await cloudinary.uploader.upload(
+      `data:${mimeType};base64,${buffer.toString('base64')}`,
+      options
+    );
+
+    return {
+      url: access === 'private' ? null : result.secure_url,
+      publicId: result.public_id,
+      bytes: result.bytes
+    };
+  },
+
+  async delete(publicId, { resourceType = 'image', access = 'public' } = {}) {
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      type: toDeliveryType(access)
+    });
+    return result.result === 'ok';
+  },
+
+  getSignedUrl(publicId, { resourceType = 'image', extension, access = 'public', expiresIn = 300 } = {}) {
+    return cloudinary.utils.private_download_url(publicId, resourceType === 'raw' ? '' : extension, {
+      resource_type: resourceType,
+      type: toDeliveryType(access),
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  },
+
+  // First page of a stored PDF converted to JPEG, through an expiring download URL like getSignedUrl
+  getThumbnailUrl(publicId, { access = 'public', expiresIn = 300 } = {}) {
+    return cloudinary.utils.private_download_url(publicId, 'jpg', {
+      resource_type: 'image',
+      type: toDeliveryType(access),
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  },
+
+  extractPublicId(url) {
+    if (!url) return null;
+    // Format: https://res.cloudinary.com/cloud_name/image/upload/v1234567890/folder/public_id.webp
+    const match = url.match(/\/upload\/.*\/(.+?)\.(webp|jpg|jpeg|png)$/);
+    return match ? match[1] : null;
+  }
+};
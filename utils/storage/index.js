@@ -0,0 +1,41 @@
+/**
+ * Upload storage drivers selected with STORAGE_DRIVER:
+ * - cloudinary: Cloudinary (CLOUDINARY_CLOUD_NAME / CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET), default
+ * - local: files on disk under STORAGE_LOCAL_DIR (for development and tests without credentials)
+ *
+ * Each driver implements:
+ * - upload(buffer, { folder, publicId, resourceType, extension, mimeType, access, tags, context }) -> { url, publicId, bytes }
+ * - delete(publicId, { resourceType, access }) -> boolean
+ * - getSignedUrl(publicId, { resourceType, extension, access, expiresIn }) -> string
+ * - getThumbnailUrl(publicId, { access, expiresIn }) -> string|null, expiring URL of the first page of a PDF as an image
+ * - extractPublicId(url) -> string|null
+ *
+ * access is 'public' (default) or 'private'. Private files have no public URL (url is null)
+ * and can only be read through getSignedUrl.
+ */
+const drivers = {
+  cloudinary: () => require('./cloudinaryDriver'),
+  local: () => require('./localDriver')
+};
+
+let driver = null;
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} - Storage driver
+ */
+function getStorage() {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'cloudinary';
+    const loadDriver = drivers[name];
+    if (!loadDriver) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    driver = loadDriver();
+  }
+  return driver;
+}
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const getRoot = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+const getBaseUrl = () => (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (publicId, expires) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`${publicId}:${expires}`)
+  .digest('hex');
+
+/**
+ * Absolute path of a stored file, or null if the public ID escapes the storage directory
+ * @param {string} publicId - Public ID (path relative to the storage directory)
+ * @returns {string|null}
+ */
+function resolveFilePath(publicId) {
+  const root = getRoot();
+  const filePath = path.resolve(root, String(publicId));
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Check a signed URL created by getSignedUrl
+ * @param {string} publicId - Public ID from the URL
+ * @param {string} expires - Expiry (unix seconds) from the URL
+ * @param {string} signature - Signature from the URL
+ * @returns {boolean}
+ */
+function verifySignature(publicId, expires, signature) {
+  if (!expires || typeof signature !== 'string' || Number(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(sign(publicId, expires));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Private files live under this prefix, which /uploads never serves
+const PRIVATE_PREFIX = 'private';
+
+/**
+ * Local filesystem storage driver. Files are written under STORAGE_LOCAL_DIR (default uploads/)
+ * and served by the API at /uploads (public files) or /api/files (signed URLs).
+ */
+module.exports = {
+  name: 'local',
+  PRIVATE_PREFIX,
+  resolveFilePath,
+  verifySignature,
+
+  async upload(buffer, { folder, publicId, extension, access = 'public' }) {
+    const baseName = path.basename(publicId);
+    const id = path.posix.join(
+      access === 'private' ? PRIVATE_PREFIX : '',
+      folder || '',
+      extension ? `${baseName}.${extension}` : baseName
+    );
+    const filePath = resolveFilePath(id);
+    if (!filePath) {
+      throw new Error(`Invalid storage path: ${id}`);
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return {
+      url: access === 'private' ? null : `${getBaseUrl()}/uploads/${id}`,
+      publicId: id,
+      bytes: buffer.length
+    };
+  },
+
+  async delete(publicId) {
+    const filePath = resolveFilePath(publicId);
+    if (!filePath) return false;
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  },
+
+  getSignedUrl(publicId, { expiresIn = 300 } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires: String(expires), signature: sign(publicId, expires) });
+    return `${getBaseUrl()}/api/files/${publicId}?${query}`;
+  },
+
+  // PDF pages cannot be rendered locally
+  getThumbnailUrl() {
+    return null;
+  },
+
+  extractPublicId(url) {
+    if (!url) return null;
+    const match = url.match(/\/(?:uploads|api\/files)\/([^?]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+};
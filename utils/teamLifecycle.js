@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Invitation = require('../models/Invitation');
+const Payment = require('../models/Payment');
+const TeamMembership = require('../models/TeamMembership');
+const HttpError = require('./httpError');
+const { getMemberLimits, describeTeamSize } = require('./teamRules');
+const { assertProblemStatementAvailable } = require('./problemStatements');
+const { releaseMemberships } = require('./teamMembership');
+const { getEventForTeam } = require('./events');
+const { promoteWaitlistedTeams } = require('./registrationCapacity');
+const { getTeamEligibility, assertTeamEligible, recheckTeamEligibility } = require('./eligibility');
+
+// Actions that free registration capacity for waitlisted teams
+const CAPACITY_RELEASING_ACTIONS = ['leave', 'remove-member', 'disband'];
+
+const isMember = (team, userId) => team.members.some((member) => member.equals(userId));
+
+function requireLeader(team, actorId) {
+  if (!team.leader.equals(actorId)) {
+    throw new HttpError(403, 'Only the team leader can perform this action');
+  }
+}
+
+async function updateTeam(team, actorId, payload) {
+  requireLeader(team, actorId);
+  const { teamName, problemStatement, teamSize } = payload;
+
+  if (teamName !== undefined && teamName !== team.teamName) {
+    const existingTeamName = await Team.findOne({ event: team.event, teamName, _id: { $ne: team._id } });
+    if (existingTeamName) {
+      throw new HttpError(400, 'Team name already exists. Please choose a different name.');
+    }
+    team.teamName = teamName;
+  }
+
+  if (problemStatement !== undefined && String(problemStatement) !== String(team.problemStatement)) {
+    const statement = await assertProblemStatementAvailable(problemStatement, team.event, team._id);
+    team.problemStatement = statement._id;
+  }
+
+  if (teamSize !== undefined && teamSize !== team.teamSize) {
+    const limits = getMemberLimits(teamSize);
+    const event = await getEventForTeam(team);
+    if (!limits || !event.allowsTeamSize(teamSize)) {
+      throw new HttpError(400, 'Invalid team size');
+    }
+    if (team.members.length > limits.max) {
+      throw new HttpError(400, `${describeTeamSize(teamSize)}. Remove members before changing the team size.`);
+    }
+    team.teamSize = teamSize;
+    // Fewer open slots may leave a minimum eligibility rule out of reach
+    await assertTeamEligible(team, event);
+
+    // Pending invites may no longer fit the new size
+    await Invitation.updateMany(
+      { team: team._id, status: 'pending' },
+      { status: 'cancelled', respondedAt: new Date() }
+    );
+  }
+
+  await team.save();
+  return { team, message: 'Team updated successfully' };
+}
+
+async function leaveTeam(team, actorId) {
+  if (team.leader.equals(actorId)) {
+    throw new HttpError(400, 'The team leader cannot leave. Transfer leadership or disband the team instead.');
+  }
+  if (!isMember(team, actorId)) {
+    throw new HttpError(400, 'You are not a member of this team');
+  }
+
+  const event = await getEventForTeam(team);
+  const previous = await getTeamEligibility(team, event);
+  // The team and the membership are written together so they can't get out of step
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      team.members = team.members.filter((member) => !member.equals(actorId));
+      // Never blocks leaving; an approved team left short of an eligibility rule goes back to review
+      await recheckTeamEligibility(team, event, previous, { refuseViolations: false, session });
+      await team.save({ session });
+      await releaseMemberships({ team: team._id, user: actorId }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return { team, message: 'You have left the team' };
+}
+
+async function transferLeadership(team, actorId, payload) {
+  requireLeader(team, actorId);
+  const { newLeaderId } = payload;
+
+  if (!newLeaderId || !isMember(team, newLeaderId)) {
+    throw new HttpError(400, 'New leader must be a current member of the team');
+  }
+
+  const previousLeader = team.leader;
+  team.members = team.members.filter((member) => !member.equals(newLeaderId));
+  team.members.push(previousLeader);
+  team.leader = newLeaderId;
+  await team.save();
+  await TeamMembership.updateOne({ team: team._id, user: newLeaderId }, { role: 'leader' });
+  await TeamMembership.updateOne({ team: team._id, user: previousLeader }, { role: 'member' });
+  return { team, message: 'Team leadership transferred successfully' };
+}
+
+async function removeMember(team, actorId, payload) {
+  requireLeader(team, actorId);
+  const { userId } = payload;
+
+  if (team.leader.equals(userId)) {
+    throw new HttpError(400, 'The team leader cannot be removed');
+  }
+  if (!userId || !isMember(team, userId)) {
+    throw new HttpError(400, 'User is not a member of this team');
+  }
+
+  const event = await getEventForTeam(team);
+  const previous = await getTeamEligibility(team, event);
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      team.members = team.members.filter((member) => !member.equals(userId));
+      await recheckTeamEligibility(team, event, previous, { refuseViolations: false, session });
+      await team.save({ session });
+      await releaseMemberships({ team: team._id, user: userId }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return { team, message: 'Member removed successfully' };
+}
+
+// Gateway payments that took money from the team
+const PAID_PAYMENT_STATUSES = ['paid', 'partially-refunded'];
+
+// Payment proof files are kept (the audit log keeps the team snapshot that points to them)
+async function disbandTeam(team, actorId) {
+  requireLeader(team, actorId);
+
+  const paid = team.paymentStatus === 'verified'
+    || await Payment.exists({ team: team._id, status: { $in: PAID_PAYMENT_STATUSES } });
+  if (paid) {
+    throw new HttpError(400, 'A team that has paid cannot be disbanded. Please contact the organizers.');
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await Invitation.updateMany(
+        { team: team._id, status: 'pending' },
+        { status: 'cancelled', respondedAt: new Date() },
+        { session }
+      );
+      await Team.deleteOne({ _id: team._id }, { session });
+      await releaseMemberships({ team: team._id }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return { team: null, message: 'Team disbanded successfully' };
+}
+
+const handlers = {
+  update: updateTeam,
+  leave: leaveTeam,
+  'transfer-leadership': transferLeadership,
+  'remove-member': removeMember,
+  disband: disbandTeam
+};
+
+/**
+ * Apply a lifecycle change to a team on behalf of a user. Changes that free seats promote
+ * waitlisted teams of the event.
+ * @param {Object} team - Team document
+ * @param {string} action - update, leave, transfer-leadership, remove-member or disband
+ * @param {Object} payload - Action specific data
+ * @param {string} actorId - User performing (or who requested) the change
+ * @returns {Promise<Object>} - { team, message }, team is null once disbanded
+ */
+async function applyTeamChange(team, action, payload, actorId) {
+  const handler = handlers[action];
+  if (!handler) {
+    throw new HttpError(400, 'Unknown team action');
+  }
+  const result = await handler(team, actorId, payload || {});
+
+  if (CAPACITY_RELEASING_ACTIONS.includes(action) && !team.waitlisted) {
+    await promoteWaitlistedTeams(team.event);
+  }
+  return result;
+}
+
+module.exports = {
+  TEAM_ACTIONS: Object.keys(handlers),
+  applyTeamChange
+};
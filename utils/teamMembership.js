@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Invitation = require('../models/Invitation');
+const TeamMembership = require('../models/TeamMembership');
+const HttpError = require('./httpError');
+const { getOpenSlots } = require('./teamRules');
+const { assertSeatAvailable } = require('./registrationCapacity');
+const { assertTeamEligible } = require('./eligibility');
+const { getEventForTeam, assertRegistrationOpen } = require('./events');
+
+/**
+ * Find the team a user belongs to (as leader or member) in an event
+ * @param {string} userId - User ID
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} - Team document
+ */
+function findTeamForUser(userId, eventId) {
+  return Team.findOne({
+    event: eventId,
+    $or: [{ leader: userId }, { members: userId }]
+  });
+}
+
+/**
+ * Record that a user belongs to a team. The unique membership index rejects a user who is already
+ * in a team of the same event, even when two requests pass the findTeamForUser checks at the same time.
+ * @param {string} userId - User ID
+ * @param {Object} team - Team document
+ * @param {string} role - 'leader' or 'member'
+ * @param {Object} options - { session, message (error message when the user is already in a team) }
+ * @returns {Promise<Object>} - TeamMembership document
+ */
+async function claimMembership(userId, team, role, { session = null, message = 'User is already in a team' } = {}) {
+  try {
+    const [membership] = await TeamMembership.create([{ event: team.event, user: userId, team: team._id, role }], { session });
+    return membership;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(400, message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove team memberships
+ * @param {Object} filter - { team } or { team, user }
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - Delete result
+ */
+function releaseMemberships(filter, { session = null } = {}) {
+  return TeamMembership.deleteMany(filter, { session });
+}
+
+/**
+ * Ensure a user may still be invited to (or ask to join) a team: the event's registration is
+ * open and the user keeps the team within its eligibility rules
+ * @param {Object} team - Team document
+ * @param {string} userId - User joining the team
+ * @returns {Promise<Object>} - Eligibility report with the user added
+ */
+async function assertCanJoinTeam(team, userId) {
+  const event = await getEventForTeam(team);
+  assertRegistrationOpen(event);
+  return assertTeamEligible(team, event, [userId]);
+}
+
+/**
+ * Create a pending invitation or join request after checking team capacity
+ * @param {Object} team - Team document
+ * @param {string} userId - User joining the team
+ * @param {string} createdBy - User creating the invitation
+ * @param {string} type - 'invite' or 'request'
+ * @param {Object} options - { session (to create the invitation with other writes) }
+ * @returns {Promise<Object>} - Invitation document
+ */
+async function createInvitation(team, userId, createdBy, type = 'invite', { session = null } = {}) {
+  if (team.leader.equals(userId) || team.members.some((member) => member.equals(userId))) {
+    throw new HttpError(400, 'User is already a member of this team');
+  }
+
+  if (await findTeamForUser(userId, team.event).session(session)) {
+    throw new HttpError(400, type === 'invite' ? 'User is already in a team' : 'You are already registered in a team');
+  }
+
+  await Invitation.expireStale({ team: team._id }).session(session);
+
+  const existing = await Invitation.findOne({ team: team._id, user: userId, status: 'pending' }).session(session);
+  if (existing) {
+    throw new HttpError(400, existing.type === 'invite'
+      ? 'An invitation is already pending for this user'
+      : 'A join request is already pending for this user');
+  }
+
+  const openSlots = getOpenSlots(team.teamSize, team.members.length);
+  if (type === 'invite') {
+    // Outstanding invites reserve a slot so the leader can't over-invite
+    const pendingInvites = await Invitation.countDocuments({ team: team._id, type: 'invite', status: 'pending' }).session(session);
+    if (openSlots - pendingInvites <= 0) {
+      throw new HttpError(400, 'No open slots left for this team size');
+    }
+  } else if (openSlots === 0) {
+    throw new HttpError(400, 'This team is already full');
+  }
+
+  const invitation = new Invitation({
+    team: team._id,
+    type,
+    user: userId,
+    createdBy,
+    expiresAt: Invitation.defaultExpiry()
+  });
+
+  await invitation.save({ session });
+  return invitation;
+}
+
+/**
+ * Accept a pending invitation or join request and add the user to the team, refusing users
+ * who would break the event's eligibility rules or participant caps
+ * @param {Object} invitation - Invitation document
+ * @returns {Promise<Object>} - Updated team document
+ */
+async function acceptInvitation(invitation) {
+  if (invitation.status !== 'pending') {
+    throw new HttpError(400, `Invitation is already ${invitation.status}`);
+  }
+
+  if (invitation.expiresAt <= new Date()) {
+    invitation.status = 'expired';
+    await invitation.save();
+    throw new HttpError(400, 'Invitation has expired');
+  }
+
+  // The slot check and the new member are written in one transaction: two accepts for the
+  // last slot both write the team, so the second one conflicts, retries and finds it full
+  let team;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      team = await Team.findById(invitation.team).session(session);
+      if (!team) {
+        throw new HttpError(404, 'Team not found');
+      }
+
+      if (await findTeamForUser(invitation.user, team.event).session(session)) {
+        throw new HttpError(400, 'User is already in a team');
+      }
+
+      if (getOpenSlots(team.teamSize, team.members.length) === 0) {
+        throw new HttpError(400, 'This team is already full');
+      }
+
+      await assertTeamEligible(team, await getEventForTeam(team), [invitation.user], { session });
+      await assertSeatAvailable(team, invitation.user, { session });
+      await claimMembership(invitation.user, team, 'member', { session });
+      team.members.push(invitation.user);
+      await team.save({ session });
+
+      invitation.status = 'accepted';
+      invitation.respondedAt = new Date();
+      await invitation.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // The user can only be in one team, so drop their other pending invitations
+  await Invitation.updateMany(
+    { user: invitation.user, status: 'pending', _id: { $ne: invitation._id } },
+    { status: 'cancelled', respondedAt: new Date() }
+  );
+
+  if (getOpenSlots(team.teamSize, team.members.length) === 0) {
+    await Invitation.updateMany(
+      { team: team._id, status: 'pending' },
+      { status: 'cancelled', respondedAt: new Date() }
+    );
+  }
+
+  return team;
+}
+
+module.exports = {
+  findTeamForUser,
+  claimMembership,
+  releaseMemberships,
+  assertCanJoinTeam,
+  createInvitation,
+  acceptInvitation
+};
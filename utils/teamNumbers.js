@@ -0,0 +1,33 @@
+const Counter = require('../models/Counter');
+const Team = require('../models/Team');
+
+const DEFAULT_PREFIX = process.env.TEAM_NUMBER_PREFIX || 'TEAM';
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highest number already used with a prefix, so existing teams keep their numbers
+const findHighestTeamNumber = async (prefix) => {
+  const pattern = new RegExp(`^${escapeRegex(prefix)}(\\d+)$`);
+  const teams = await Team.find({ registrationNumber: pattern }).select('registrationNumber').lean();
+  return teams.reduce((highest, team) => {
+    const number = parseInt(team.registrationNumber.match(pattern)[1], 10);
+    return Math.max(highest, number);
+  }, 0);
+};
+
+/**
+ * Next team registration number, e.g. TEAM0042. Each prefix has its own sequence.
+ * @param {Object} options - { prefix (the event's teamNumberPrefix; defaults to TEAM_NUMBER_PREFIX or TEAM), session }
+ * @returns {Promise<string>}
+ */
+async function nextTeamRegistrationNumber({ prefix = DEFAULT_PREFIX, session = null } = {}) {
+  const seq = await Counter.next(`team-registration:${prefix}`, {
+    session,
+    seed: () => findHighestTeamNumber(prefix)
+  });
+  return `${prefix}${String(seq).padStart(4, '0')}`;
+}
+
+module.exports = {
+  nextTeamRegistrationNumber
+};
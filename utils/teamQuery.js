@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const SORTABLE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'teamName',
+  'registrationNumber',
+  'status',
+  'paymentStatus',
+  'teamSize',
+  'paymentDuplicateScore',
+  'waitlistedAt'
+];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "a,b" or ["a", "b"] -> ["a", "b"]
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// IDs of users matching a query, used to filter teams by leader or member
+const findUserIds = async (filter) => {
+  const users = await User.find(filter).select('_id').lean();
+  return users.map((user) => user._id);
+};
+
+const byLeaderOrMember = (userIds) => ({
+  $or: [{ leader: { $in: userIds } }, { members: { $in: userIds } }]
+});
+
+/**
+ * Build a team filter from query parameters shared by the admin listing and exports
+ * @param {Object} query - { status, paymentStatus, teamSize, problemStatement, university, from, to, search,
+ *   duplicates (true: only teams with a probable duplicate payment proof, minSimilarity to narrow it),
+ *   waitlisted (true or false) }
+ * @param {string} eventId - Restrict to teams of this event
+ * @returns {Promise<Object>} - MongoDB filter
+ */
+async function buildTeamFilter(query = {}, eventId = null) {
+  const conditions = [];
+
+  if (eventId) conditions.push({ event: eventId });
+
+  ['status', 'paymentStatus', 'teamSize'].forEach((field) => {
+    if (query[field]) conditions.push({ [field]: { $in: toList(query[field]) } });
+  });
+
+  if (query.problemStatement) {
+    const ids = toList(query.problemStatement).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    conditions.push({ problemStatement: { $in: ids } });
+  }
+
+  if (query.duplicates === 'true' || query.minSimilarity) {
+    const minSimilarity = parseFloat(query.minSimilarity);
+    conditions.push({
+      paymentDuplicateScore: Number.isNaN(minSimilarity) ? { $ne: null } : { $gte: minSimilarity }
+    });
+  }
+
+  if (query.waitlisted === 'true' || query.waitlisted === 'false') {
+    conditions.push({ waitlisted: query.waitlisted === 'true' ? true : { $ne: true } });
+  }
+
+  if (query.from || query.to) {
+    const createdAt = {};
+    if (query.from) createdAt.$gte = new Date(query.from);
+    if (query.to) createdAt.$lte = new Date(query.to);
+    conditions.push({ createdAt });
+  }
+
+  if (query.university) {
+    const userIds = await findUserIds({ university: { $regex: `^${escapeRegex(query.university.trim())}$`, $options: 'i' } });
+    conditions.push(byLeaderOrMember(userIds));
+  }
+
+  if (query.search && query.search.trim()) {
+    const pattern = { $regex: escapeRegex(query.search.trim()), $options: 'i' };
+    const userIds = await findUserIds({
+      $or: [{ name: pattern }, { email: pattern }, { registrationNumber: pattern }]
+    });
+    conditions.push({
+      $or: [
+        { teamName: pattern },
+        { registrationNumber: pattern },
+        ...byLeaderOrMember(userIds).$or
+      ]
+    });
+  }
+
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * Parse a sort parameter such as "-createdAt" or "teamName"
+ * @param {string} sort - Field name, prefixed with "-" for descending
+ * @returns {Object} - MongoDB sort (newest first by default)
+ */
+function parseTeamSort(sort) {
+  const field = sort ? String(sort).replace(/^-/, '') : '';
+  if (!SORTABLE_FIELDS.includes(field)) return { createdAt: -1, _id: -1 };
+  return { [field]: sort.startsWith('-') ? -1 : 1, _id: 1 };
+}
+
+/**
+ * Parse page and limit query parameters
+ * @param {Object} query - { page, limit }
+ * @returns {Object} - { page, limit, skip }
+ */
+function parsePagination(query = {}, defaultLimit = 20, maxLimit = 100) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  escapeRegex,
+  toList,
+  buildTeamFilter,
+  parseTeamSort,
+  parsePagination
+};
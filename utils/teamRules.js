@@ -0,0 +1,64 @@
+/**
+ * Allowed number of additional members (excluding the leader) per team size
+ */
+const TEAM_SIZE_LIMITS = {
+  Solo: { min: 0, max: 0 },
+  Duo: { min: 1, max: 1 },
+  Team: { min: 2, max: 4 },
+};
+
+/**
+ * Get member limits for a team size
+ * @param {string} teamSize - Solo, Duo or Team
+ * @returns {Object|null} - { min, max } additional members, or null for unknown sizes
+ */
+function getMemberLimits(teamSize) {
+  return TEAM_SIZE_LIMITS[teamSize] || null;
+}
+
+/**
+ * Check whether a team satisfies the member count rules for its size
+ * @param {string} teamSize - Solo, Duo or Team
+ * @param {number} memberCount - Number of additional members
+ * @returns {boolean}
+ */
+function isTeamSizeSatisfied(teamSize, memberCount) {
+  const limits = getMemberLimits(teamSize);
+  if (!limits) return false;
+  return memberCount >= limits.min && memberCount <= limits.max;
+}
+
+/**
+ * Number of member slots still open for a team
+ * @param {string} teamSize - Solo, Duo or Team
+ * @param {number} memberCount - Number of additional members
+ * @returns {number}
+ */
+function getOpenSlots(teamSize, memberCount) {
+  const limits = getMemberLimits(teamSize);
+  if (!limits) return 0;
+  return Math.max(limits.max - memberCount, 0);
+}
+
+/**
+ * Human readable description of the member rules for a team size
+ * @param {string} teamSize - Solo, Duo or Team
+ * @returns {string}
+ */
+function describeTeamSize(teamSize) {
+  const limits = getMemberLimits(teamSize);
+  if (!limits) return 'Invalid team size';
+  if (limits.max === 0) return 'Solo teams cannot have additional members';
+  if (limits.min === limits.max) {
+    return `${teamSize} teams must have exactly ${limits.min} additional member${limits.min === 1 ? '' : 's'}`;
+  }
+  return `Teams must have ${limits.min}-${limits.max} additional members`;
+}
+
+module.exports = {
+  TEAM_SIZE_LIMITS,
+  getMemberLimits,
+  isTeamSizeSatisfied,
+  getOpenSlots,
+  describeTeamSize
+};
@@ -0,0 +1,105 @@
+const HttpError = require('./httpError');
+const { getEventForTeam } = require('./events');
+const { isTeamSizeSatisfied } = require('./teamRules');
+
+const TEAM_STATUSES = ['pending', 'approved', 'rejected'];
+const PAYMENT_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Why a team can't be approved yet, or null when it can
+const findApprovalIssue = (team) => {
+  if (team.waitlisted) {
+    return 'A waitlisted team cannot be approved until it is promoted from the waitlist';
+  }
+  if (!isTeamSizeSatisfied(team.teamSize, team.members.length)) {
+    return 'A team cannot be approved until all its members have joined';
+  }
+  return null;
+};
+
+/**
+ * Change a team's approval status and record it in the status history.
+ * Waitlisted and incomplete teams can't be approved.
+ * @param {Object} team - Team document (not saved)
+ * @param {string} status - pending, approved or rejected
+ * @param {Object} options - { reason, changedBy, automatic }
+ * @returns {Object} - Team document
+ */
+function changeTeamStatus(team, status, { reason, changedBy = null, automatic = false } = {}) {
+  if (!TEAM_STATUSES.includes(status)) {
+    throw new HttpError(400, 'Invalid team status');
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (status === 'rejected' && !trimmedReason) {
+    throw new HttpError(400, 'A reason is required when rejecting a team');
+  }
+
+  const approvalIssue = status === 'approved' && team.status !== 'approved' ? findApprovalIssue(team) : null;
+  if (approvalIssue) {
+    throw new HttpError(400, approvalIssue);
+  }
+
+  team.status = status;
+  team.statusReason = trimmedReason || null;
+  team.statusHistory.push({
+    status,
+    reason: trimmedReason || undefined,
+    changedBy,
+    automatic,
+    changedAt: new Date()
+  });
+
+  return team;
+}
+
+/**
+ * Change a team's payment status, approving the team automatically when enabled (waitlisted
+ * and incomplete teams stay pending).
+ * An admin review (reviewedBy) also records the decision on the latest pending payment proof.
+ * @param {Object} team - Team document (not saved)
+ * @param {string} paymentStatus - pending, verified or rejected
+ * @param {Object} options - { reason, reviewedBy }
+ * @returns {Promise<Object>} - Team document
+ */
+async function changePaymentStatus(team, paymentStatus, { reason, reviewedBy = null } = {}) {
+  if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+    throw new HttpError(400, 'Invalid payment status');
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (paymentStatus === 'rejected' && !trimmedReason) {
+    throw new HttpError(400, 'A reason is required when rejecting a payment');
+  }
+
+  team.paymentStatus = paymentStatus;
+  team.paymentStatusReason = trimmedReason || null;
+
+  if (reviewedBy && paymentStatus !== 'pending') {
+    const proof = [...team.paymentProofs].reverse().find((entry) => entry.decision === 'pending');
+    if (proof) {
+      proof.decision = paymentStatus;
+      proof.reason = trimmedReason || undefined;
+      proof.reviewedBy = reviewedBy;
+      proof.reviewedAt = new Date();
+    }
+  }
+
+  if (paymentStatus === 'verified' && team.status === 'pending' && !findApprovalIssue(team)) {
+    const event = await getEventForTeam(team);
+    if (event.autoApproveOnPaymentVerified) {
+      changeTeamStatus(team, 'approved', {
+        reason: 'Automatically approved after payment verification',
+        automatic: true
+      });
+    }
+  }
+
+  return team;
+}
+
+module.exports = {
+  TEAM_STATUSES,
+  PAYMENT_STATUSES,
+  changeTeamStatus,
+  changePaymentStatus
+};
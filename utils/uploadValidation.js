@@ -0,0 +1,91 @@
+const sharp = require('sharp');
+const HttpError = require('./httpError');
+
+// Images larger than this are rejected before any processing
+const MAX_IMAGE_DIMENSION = parseInt(process.env.UPLOAD_MAX_IMAGE_DIMENSION, 10) || 10000;
+// Total pixels allowed, guards against decompression bombs (small files that decode huge)
+const MAX_IMAGE_PIXELS = parseInt(process.env.UPLOAD_MAX_IMAGE_PIXELS, 10) || 50000000;
+
+// Known file signatures: [type, mime, extension, offset, bytes]
+const SIGNATURES = [
+  ['image', 'image/jpeg', 'jpg', 0, [0xff, 0xd8, 0xff]],
+  ['image', 'image/png', 'png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ['image', 'image/gif', 'gif', 0, [0x47, 0x49, 0x46, 0x38]],
+  ['pdf', 'application/pdf', 'pdf', 0, [0x25, 0x50, 0x44, 0x46, 0x2d]],
+  ['ole', 'application/vnd.ms-powerpoint', 'ppt', 0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]],
+  ['zip', 'application/vnd.openxmlformats-officedocument.presentationml.presentation', 'pptx', 0, [0x50, 0x4b, 0x03, 0x04]]
+];
+
+const matchesAt = (buffer, offset, bytes) => buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+/**
+ * Detect the real type of a file from its leading bytes (the client mimetype is not trusted)
+ * @param {Buffer} buffer - File data
+ * @returns {Object|null} - { type, mime, extension } or null when unknown
+ */
+function detectFileType(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  // WebP: "RIFF" .... "WEBP"
+  if (matchesAt(buffer, 0, [0x52, 0x49, 0x46, 0x46]) && matchesAt(buffer, 8, [0x57, 0x45, 0x42, 0x50])) {
+    return { type: 'image', mime: 'image/webp', extension: 'webp' };
+  }
+
+  const signature = SIGNATURES.find(([, , , offset, bytes]) => matchesAt(buffer, offset, bytes));
+  if (!signature) return null;
+
+  const [type, mime, extension] = signature;
+  return { type, mime, extension };
+}
+
+/**
+ * Check that an uploaded file really is one of the allowed types
+ * @param {Object} file - Multer file object
+ * @param {Array} allowedMimeTypes - Accepted detected mime types
+ * @returns {Object} - Detected file type
+ * @throws {HttpError} - 415 when the content does not match an allowed type
+ */
+function assertFileType(file, allowedMimeTypes) {
+  const fileType = detectFileType(file.buffer);
+  if (!fileType || !allowedMimeTypes.includes(fileType.mime)) {
+    throw new HttpError(415, 'File content does not match an allowed file type');
+  }
+  return fileType;
+}
+
+/**
+ * Read image dimensions from the header and reject oversized or unreadable images
+ * before they are decoded
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<Object>} - { width, height, format }
+ * @throws {HttpError} - 400 for corrupt images, 413 for oversized ones
+ */
+async function assertImageWithinLimits(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw new HttpError(400, 'Image file is corrupted or unreadable');
+  }
+
+  const { width, height, format } = metadata;
+  if (!width || !height) {
+    throw new HttpError(400, 'Image file is corrupted or unreadable');
+  }
+  if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
+    throw new HttpError(413, `Image dimensions must not exceed ${MAX_IMAGE_DIMENSION}x${MAX_IMAGE_DIMENSION} pixels`);
+  }
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw new HttpError(413, 'Image resolution is too large');
+  }
+
+  return { width, height, format };
+}
+
+module.exports = {
+  MAX_IMAGE_PIXELS,
+  detectFileType,
+  assertFileType,
+  assertImageWithinLimits
+};
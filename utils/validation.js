@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+
+const REGISTRATION_NUMBER_PATTERN = new RegExp(
+  process.env.REGISTRATION_NUMBER_PATTERN || '^[A-Za-z0-9][A-Za-z0-9/-]{3,19}$'
+);
+
+/**
+ * Named string formats: { test(value), message, code }
+ */
+const FORMATS = {
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+    message: 'must be a valid email address',
+    code: 'INVALID_EMAIL'
+  },
+  // Digits with an optional leading +, spaces, dashes and brackets are ignored
+  phone: {
+    test: (value) => /^\+?[0-9]{10,15}$/.test(value.replace(/[\s()-]/g, '')),
+    message: 'must be a valid phone number (10 to 15 digits, optional +country code)',
+    code: 'INVALID_PHONE'
+  },
+  registrationNumber: {
+    test: (value) => REGISTRATION_NUMBER_PATTERN.test(value),
+    message: 'must be a valid registration number',
+    code: 'INVALID_REGISTRATION_NUMBER'
+  },
+  password: {
+    test: (value) => value.length >= PASSWORD_MIN_LENGTH && /[A-Za-z]/.test(value) && /[0-9]/.test(value),
+    message: `must be at least ${PASSWORD_MIN_LENGTH} characters and contain a letter and a number`,
+    code: 'WEAK_PASSWORD'
+  },
+  url: {
+    test: (value) => {
+      try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+      } catch (error) {
+        return false;
+      }
+    },
+    message: 'must be a valid http(s) URL',
+    code: 'INVALID_URL'
+  },
+  objectId: {
+    test: (value) => mongoose.Types.ObjectId.isValid(value),
+    message: 'must be a valid ID',
+    code: 'INVALID_ID'
+  }
+};
+
+/**
+ * Reusable field rules, spread into route schemas: { email: { ...rules.email, required: true } }
+ */
+const rules = {
+  email: { type: 'string', format: 'email', lowercase: true, maxLength: 254 },
+  password: { type: 'string', format: 'password', trim: false, maxLength: 128 },
+  phone: { type: 'string', format: 'phone', maxLength: 20 },
+  registrationNumber: { type: 'string', format: 'registrationNumber' },
+  objectId: { type: 'string', format: 'objectId' },
+  name: { type: 'string', maxLength: 100 },
+  text: { type: 'string', maxLength: 2000 },
+  token: { type: 'string', trim: false, maxLength: 2048 }
+};
+
+const fieldError = (field, message, code) => ({ field, message: `${field} ${message}`, code });
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Coerce query / multipart strings to the declared type; returns undefined when not possible
+const coerce = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+      if (Number.isNaN(number)) return undefined;
+      return type === 'integer' && !Number.isInteger(number) ? undefined : number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return undefined;
+    case 'date': {
+      const date = new Date(value);
+      return typeof value !== 'boolean' && !Number.isNaN(date.getTime()) ? date : undefined;
+    }
+    case 'array':
+      return Array.isArray(value) ? value : undefined;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validate one value against a rule
+ * @param {string} field - Field path used in error messages
+ * @param {*} value - Raw value
+ * @param {Object} rule - { type, required, nullable, format, enum, minLength, maxLength, min, max,
+ *   minItems, maxItems, items, fields, trim, lowercase, message }
+ * @param {Array} errors - Collected errors
+ * @returns {*} - Sanitized value
+ */
+function validateValue(field, value, rule, errors) {
+  if (isMissing(value)) {
+    if (rule.required) {
+      errors.push(fieldError(field, 'is required', 'REQUIRED'));
+    }
+    return rule.nullable && value === null ? null : undefined;
+  }
+
+  let result = coerce(value, rule.type || 'string');
+  if (result === undefined) {
+    errors.push(fieldError(field, `must be of type ${rule.type || 'string'}`, 'INVALID_TYPE'));
+    return undefined;
+  }
+
+  if (typeof result === 'string') {
+    if (rule.trim !== false) result = result.trim();
+    if (rule.lowercase) result = result.toLowerCase();
+
+    if (rule.required && result === '') {
+      errors.push(fieldError(field, 'is required', 'REQUIRED'));
+      return undefined;
+    }
+    if (rule.minLength !== undefined && result.length < rule.minLength) {
+      errors.push(fieldError(field, `must be at least ${rule.minLength} characters`, 'TOO_SHORT'));
+    }
+    if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+      errors.push(fieldError(field, `must be at most ${rule.maxLength} characters`, 'TOO_LONG'));
+    }
+    if (rule.format && !FORMATS[rule.format].test(result)) {
+      errors.push(fieldError(field, rule.message || FORMATS[rule.format].message, FORMATS[rule.format].code));
+    }
+  }
+
+  if (typeof result === 'number') {
+    if (rule.min !== undefined && result < rule.min) {
+      errors.push(fieldError(field, `must be at least ${rule.min}`, 'TOO_SMALL'));
+    }
+    if (rule.max !== undefined && result > rule.max) {
+      errors.push(fieldError(field, `must be at most ${rule.max}`, 'TOO_LARGE'));
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(result)) {
+    errors.push(fieldError(field, `must be one of: ${rule.enum.join(', ')}`, 'INVALID_VALUE'));
+  }
+
+  if (Array.isArray(result)) {
+    if (rule.minItems !== undefined && result.length < rule.minItems) {
+      errors.push(fieldError(field, `must contain at least ${rule.minItems} item(s)`, 'TOO_FEW_ITEMS'));
+    }
+    if (rule.maxItems !== undefined && result.length > rule.maxItems) {
+      errors.push(fieldError(field, `must contain at most ${rule.maxItems} item(s)`, 'TOO_MANY_ITEMS'));
+    }
+    if (rule.items) {
+      result = result.map((item, index) => validateValue(`${field}[${index}]`, item, { required: true, ...rule.items }, errors));
+    }
+  }
+
+  if (rule.fields && result && typeof result === 'object' && !Array.isArray(result)) {
+    result = { ...result, ...validateObject(rule.fields, result, errors, `${field}.`) };
+  }
+
+  return result;
+}
+
+/**
+ * Validate the fields of an object against a schema
+ * @param {Object} schema - { field: rule }
+ * @param {Object} data - Object to validate
+ * @param {Array} errors - Collected errors
+ * @param {string} prefix - Prefix for nested field paths
+ * @returns {Object} - Sanitized values of the fields present in the schema
+ */
+function validateObject(schema, data, errors, prefix = '') {
+  const values = {};
+  Object.entries(schema).forEach(([name, rule]) => {
+    const value = validateValue(`${prefix}${name}`, data ? data[name] : undefined, rule, errors);
+    if (value !== undefined) values[name] = value;
+  });
+  return values;
+}
+
+/**
+ * Validate data against a schema
+ * @param {Object} schema - { field: rule }
+ * @param {Object} data - Request body, query or params
+ * @returns {Object} - { values, errors } where errors are [{ field, message, code }]
+ */
+function validate(schema, data) {
+  const errors = [];
+  const values = validateObject(schema, data || {}, errors);
+  return { values, errors };
+}
+
+/**
+ * Field-level errors from a Mongoose ValidationError
+ * @param {Object} error - Mongoose ValidationError
+ * @returns {Array} - [{ field, message, code }]
+ */
+function fromMongooseError(error) {
+  return Object.values(error.errors).map((err) => ({
+    field: err.path,
+    message: err.message,
+    code: err.kind === 'required' ? 'REQUIRED' : 'INVALID_VALUE'
+  }));
+}
+
+module.exports = {
+  FORMATS,
+  rules,
+  validate,
+  fromMongooseError
+};